@@ -8,6 +8,16 @@ require('dotenv').config();
 // Import services
 const { AhadAIService } = require('./src/services/ahad-ai.service');
 const { FileProcessor } = require('./src/services/file-processor.service');
+const { KnowledgeIngestor } = require('./src/services/knowledge-ingest');
+const { KnowledgeWatcher } = require('./src/services/knowledge-watcher.service');
+const { createAuthService, AuthError } = require('./src/services/auth.service');
+const { createAuthMiddleware, requireAdmin } = require('./src/middleware/auth.middleware');
+const { RateLimiter, UsageQuota, estimateTokens } = require('./src/services/rate-limiter.service');
+const { LlmQueue } = require('./src/services/llm-queue.service');
+const { createLimitMiddleware } = require('./src/middleware/rate-limit.middleware');
+const { sameModel } = require('./src/services/llm-provider.service');
+const { HealthService } = require('./src/services/health.service');
+const config = require('./src/config/langchain.config');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -46,49 +56,425 @@ const upload = multer({
 // Middleware
 app.use(cors({
     origin: ['http://localhost:5500', 'http://127.0.0.1:5500', 'http://localhost:3000'],
-    credentials: true
+    credentials: true,
+    // Let the browser read rate limit details on 429 responses
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Initialize services
 const ahadAI = new AhadAIService();
+const health = new HealthService(ahadAI, config.health);
 const fileProcessor = new FileProcessor();
+const auth = createAuthService(config.auth);
+const llmQueue = new LlmQueue({
+    concurrency: config.limits.llmConcurrency,
+    maxDepth: config.limits.llmQueueDepth
+});
+const limit = createLimitMiddleware({
+    rateLimiter: new RateLimiter({ windowMs: config.limits.windowMs }),
+    usageQuota: new UsageQuota({
+        tokens: config.limits.dailyTokens,
+        uploadBytes: config.limits.dailyUploadBytes
+    }),
+    llmQueue,
+    enabled: config.limits.enabled,
+    rules: config.limits.rules
+});
+let knowledgeWatcher = null;
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, 'uploads');
 fs.ensureDirSync(uploadsDir);
 
-// Health check
-app.get('/api/health', (req, res) => {
+// Health check: service info plus the readiness probes. Always 200 while the process is up,
+// so clients can tell "backend down" apart from "backend up, model missing".
+app.get('/api/health', async (req, res) => {
+    const readiness = await health.readiness();
+
     res.json({
-        status: 'healthy',
+        status: readiness.status,
         service: 'Ahad AI Backend',
         version: '2.1.0',
         features: ['RAG', 'LangChain', 'Voice', 'File Upload', 'Multilingual'],
+        checks: readiness.checks,
+        auth: {
+            enabled: config.auth.enabled,
+            allowRegistration: config.auth.allowRegistration
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Liveness: the process is up and serving requests
+app.get('/api/health/live', (req, res) => {
+    res.json({
+        ...health.liveness(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Readiness: 503 until the model and vector store answer (?refresh=true skips the cache)
+app.get('/api/health/ready', async (req, res) => {
+    const readiness = await health.readiness({ refresh: req.query.refresh === 'true' });
+    const ready = readiness.status === 'ready' || readiness.status === 'degraded';
+
+    res.status(ready ? 200 : 503).json({
+        ...readiness,
         timestamp: new Date().toISOString()
     });
 });
 
+// Everything below the health check requires a login token or API key (unless AUTH_ENABLED=false)
+app.use('/api', createAuthMiddleware(auth, {
+    enabled: config.auth.enabled,
+    publicPaths: ['/auth/register', '/auth/login']
+}));
+app.use('/api', limit.rate('default'));
+
+// Total size of the files multer accepted for this request
+const uploadSize = req => (req.files || []).reduce((total, file) => total + file.size, 0);
+
+// Chat requests are rate limited before their files are parsed, then wait for an LLM slot
+const chatLimits = [
+    limit.rate('chat'),
+    upload.array('files', 5),
+    limit.quota('uploadBytes', uploadSize),
+    limit.quota('tokens'),
+    limit.llmSlot
+];
+
+// Admins (and everyone when auth is disabled) may access data owned by anyone
+function canAccess(req, ownerId) {
+    return !req.user || req.user.role === 'admin' || ownerId === req.user.id;
+}
+
+// A session that does not exist yet belongs to whoever uses it first
+function canAccessSession(req, sessionId) {
+    const session = ahadAI.getSession(sessionId);
+    return !session || canAccess(req, session.userId);
+}
+
+function canReadDocument(req, document) {
+    return document.visibility === 'global' || canAccess(req, document.userId);
+}
+
+// Why a knowledge document can't be scoped this way, or null; session scopes must be ones the caller can use
+function knowledgeScopeError(req, metadata, visibility) {
+    if (!['global', 'session', 'user'].includes(visibility)) {
+        return 'Visibility must be global, session or user';
+    }
+    if ((visibility === 'session' && !metadata.sessionId) || (visibility === 'user' && !metadata.userId)) {
+        return `A ${visibility}Id is required for ${visibility} visibility`;
+    }
+    if (visibility === 'session' && !canAccessSession(req, metadata.sessionId)) {
+        return 'Session not found';
+    }
+    return null;
+}
+
+// Per-request provider, model, temperature, maxTokens and preset, checked against config.llm
+function validateGeneration(body) {
+    const { provider, model, temperature, maxTokens, preset } = body;
+    return ahadAI.llmProviders.validateRequest({ provider, model, temperature, maxTokens, preset });
+}
+
+function sendInvalidGeneration(res, error) {
+    res.status(400).json({
+        success: false,
+        error,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Other users' sessions are reported as missing rather than forbidden
+function sendSessionNotFound(res) {
+    res.status(404).json({
+        success: false,
+        error: 'Session not found'
+    });
+}
+
 // Initialize AI Service
 (async () => {
+    try {
+        const userCount = await auth.initialize();
+        console.log(`👤 Loaded ${userCount} user account(s)${config.auth.enabled ? '' : ' (authentication disabled)'}`);
+    } catch (error) {
+        console.error('❌ Failed to load user accounts:', error);
+    }
+
     try {
         await ahadAI.initialize();
         console.log('✅ Ahad AI Service initialized successfully');
     } catch (error) {
         console.error('❌ Failed to initialize AI service:', error);
     }
+
+    // Optional auto-ingestion of the knowledge base directory (KNOWLEDGE_WATCH=true)
+    if (config.knowledge.watch) {
+        try {
+            const ingestor = new KnowledgeIngestor({ ahadAI, fileProcessor });
+            await fs.ensureDir(ingestor.directory);
+
+            knowledgeWatcher = new KnowledgeWatcher(ingestor, {
+                debounceMs: config.knowledge.watchDebounceMs
+            });
+            await knowledgeWatcher.start();
+        } catch (error) {
+            console.error('❌ Failed to start knowledge watcher:', error);
+        }
+    }
 })();
 
-// Store active sessions with file context
-const activeSessions = new Map();
+// Process uploaded files, attach them to the session and add them to the knowledge base
+async function handleSessionFiles(sessionId, files, language = 'en', userId = null) {
+    if (files.length === 0) return [];
+
+    // OCR uses the session language to pick its recognition model
+    const fileResults = await fileProcessor.processFiles(files, { language });
+
+    // Store file context in the persisted session
+    await ahadAI.addSessionFiles(sessionId, fileResults, language, userId);
+
+    console.log(`💾 Stored ${fileResults.length} file(s) in session ${sessionId}`);
+
+    // Store processed content in knowledge base
+    for (const file of fileResults) {
+        if (file.content) {
+            await ahadAI.addToKnowledgeBase(file.content, 'file_upload', {
+                fileId: file.id,
+                filename: file.filename,
+                type: file.type,
+                size: file.size,
+                sessionId: sessionId,
+                userId: userId || undefined,
+                visibility: config.rag.uploadVisibility,
+                language: language,
+                ocr: file.ocr
+            }, { pages: file.pages });
+        }
+    }
+
+    return fileResults;
+}
+
+// Run the chat message (or a file-only upload) through the AI service
+async function generateChatResponse({ message, language, sessionId, userId, generation, languageDetection, useRAG, analyzeSentiment, fileResults, onToken, signal }) {
+    // Get file context from session if available
+    const sessionFiles = ahadAI.getSession(sessionId)?.files || [];
+
+    if (message) {
+        return ahadAI.processWithRAG({
+            message,
+            language,
+            useRAG,
+            analyzeSentiment,
+            sessionId,
+            userId,
+            generation,
+            languageDetection,
+            files: sessionFiles, // Pass all files in session
+            newFiles: fileResults, // Pass newly uploaded files
+            onToken,
+            signal
+        });
+    }
+
+    // Generate response based only on files
+    const fileSummary = fileResults.map(f => 
+        `📄 ${f.filename} (${f.type}): ${f.content ? 'Content extracted' : 'Unable to extract content'}`
+    ).join('\n');
+
+    return ahadAI.processWithRAG({
+        message: `I uploaded these files: ${fileSummary}. Analyze them and tell me about the content.`,
+        language,
+        useRAG: true,
+        analyzeSentiment: false,
+        sessionId,
+        userId,
+        generation,
+        files: sessionFiles,
+        newFiles: fileResults,
+        onToken,
+        signal
+    });
+}
+
+// Build the JSON payload returned to the client (the AI service records the exchange)
+function buildChatResponse(sessionId, fileResults, aiResponse) {
+    const session = ahadAI.getSession(sessionId);
+
+    // Combine file info with AI response
+    return {
+        success: true,
+        ...aiResponse,
+        sessionId: sessionId,
+        files: fileResults.map(f => ({
+            filename: f.filename,
+            type: f.type,
+            size: f.size,
+            extracted: !!f.content,
+            preview: f.preview,
+            ocr: f.ocr,
+            ocrConfidence: f.ocrConfidence,
+            pageCount: f.pages ? f.pages.length : undefined,
+            dimensions: f.dimensions,
+            warning: f.warning,
+            success: f.success
+        })),
+        sessionFileCount: session ? session.files.length : fileResults.length,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Auth errors carry their own status; anything else is a server error
+function sendAuthError(res, error, label) {
+    if (!(error instanceof AuthError)) {
+        console.error(`${label} error:`, error);
+    }
+
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+    });
+}
+
+// Create an account and sign in (the first account becomes the admin)
+app.post('/api/auth/register', limit.rate('auth'), async (req, res) => {
+    try {
+        const { username, password, displayName } = req.body;
+        const session = await auth.register({ username, password, displayName });
+
+        res.status(201).json({
+            success: true,
+            ...session,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'Register');
+    }
+});
+
+app.post('/api/auth/login', limit.rate('auth'), async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const session = await auth.login({ username, password, clientKey: req.ip });
+
+        res.json({
+            success: true,
+            ...session,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'Login');
+    }
+});
+
+// Revoke the login token used for this request
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        if (req.auth) {
+            await auth.logout(req.auth);
+        }
+
+        res.json({
+            success: true,
+            message: 'Signed out',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'Logout');
+    }
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        success: true,
+        authEnabled: config.auth.enabled,
+        user: req.user ? auth.describeUser(req.user) : null,
+        credential: req.auth ? req.auth.type : null,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// API keys for programmatic clients (sent as `X-API-Key`)
+app.get('/api/auth/api-keys', (req, res) => {
+    if (!req.user) {
+        return res.status(400).json({
+            success: false,
+            error: 'API keys require authentication to be enabled'
+        });
+    }
+
+    res.json({
+        success: true,
+        apiKeys: auth.listApiKeys(req.user.id),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.post('/api/auth/api-keys', async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(400).json({
+                success: false,
+                error: 'API keys require authentication to be enabled'
+            });
+        }
+
+        const { key, apiKey } = await auth.createApiKey(req.user.id, req.body.name);
+
+        // The key itself is only ever returned here
+        res.status(201).json({
+            success: true,
+            key,
+            apiKey,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'Create API key');
+    }
+});
+
+app.delete('/api/auth/api-keys/:keyId', async (req, res) => {
+    try {
+        const revoked = req.user && await auth.revokeApiKey(req.user.id, req.params.keyId);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'API key revoked',
+            keyId: req.params.keyId,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'Revoke API key');
+    }
+});
 
 // Main chat endpoint with file support
-app.post('/api/chat', upload.array('files', 5), async (req, res) => {
+app.post('/api/chat', chatLimits, async (req, res) => {
     try {
         const {
             message,
-            language = 'en',
             sessionId = 'default_' + Date.now(),
             useRAG = true,
             analyzeSentiment = true
@@ -103,130 +489,290 @@ app.post('/api/chat', upload.array('files', 5), async (req, res) => {
             });
         }
 
-        console.log(`💬 Processing chat: "${message || 'File upload'}" with ${files.length} file(s)`);
-        console.log(`📂 Session ID: ${sessionId}`);
-
-        // Process files if any
-        let fileResults = [];
-        if (files.length > 0) {
-            fileResults = await fileProcessor.processFiles(files);
-            
-            // Store file context in session
-            if (!activeSessions.has(sessionId)) {
-                activeSessions.set(sessionId, {
-                    files: [],
-                    messages: [],
-                    createdAt: new Date().toISOString()
-                });
-            }
-            
-            const session = activeSessions.get(sessionId);
-            session.files = [...session.files, ...fileResults];
-            
-            console.log(`💾 Stored ${fileResults.length} file(s) in session ${sessionId}`);
-            
-            // Store processed content in knowledge base
-            for (const file of fileResults) {
-                if (file.content) {
-                    await ahadAI.addToKnowledgeBase(file.content, 'file_upload', {
-                        filename: file.filename,
-                        type: file.type,
-                        size: file.size,
-                        sessionId: sessionId
-                    });
-                }
-            }
+        if (!canAccessSession(req, sessionId)) {
+            return sendSessionNotFound(res);
         }
 
-        // Get file context from session if available
-        let sessionFiles = [];
-        if (activeSessions.has(sessionId)) {
-            sessionFiles = activeSessions.get(sessionId).files;
+        const generation = await validateGeneration(req.body);
+        if (generation.error) {
+            return sendInvalidGeneration(res, generation.error);
         }
 
+        const { language, detection } = ahadAI.resolveLanguage(message, req.body.language || 'en', sessionId);
+        limit.recordUsage(req, 'uploadBytes', uploadSize(req));
+
+        console.log(`💬 Processing chat: "${message || 'File upload'}" with ${files.length} file(s)`);
+        console.log(`📂 Session ID: ${sessionId}`);
+
+        const userId = req.user ? req.user.id : null;
+        const fileResults = await handleSessionFiles(sessionId, files, language, userId);
+
         // Process the message with AI - PASS FILE CONTEXT
-        let aiResponse;
-        if (message) {
-            aiResponse = await ahadAI.processWithRAG({
-                message,
-                language,
-                useRAG,
-                analyzeSentiment,
-                sessionId,
-                files: sessionFiles, // Pass all files in session
-                newFiles: fileResults // Pass newly uploaded files
-            });
-        } else {
-            // Generate response based only on files
-            const fileSummary = fileResults.map(f => 
-                `📄 ${f.filename} (${f.type}): ${f.content ? 'Content extracted' : 'Unable to extract content'}`
-            ).join('\n');
-            
-            aiResponse = await ahadAI.processWithRAG({
-                message: `I uploaded these files: ${fileSummary}. Analyze them and tell me about the content.`,
-                language,
-                useRAG: true,
-                analyzeSentiment: false,
-                sessionId,
-                files: sessionFiles,
-                newFiles: fileResults
-            });
-        }
+        const aiResponse = await generateChatResponse({
+            message,
+            language,
+            sessionId,
+            userId,
+            generation,
+            languageDetection: detection,
+            useRAG,
+            analyzeSentiment,
+            fileResults
+        });
+        limit.recordUsage(req, 'tokens', estimateTokens(message, aiResponse.text));
 
-        // Update session messages
-        if (!activeSessions.has(sessionId)) {
-            activeSessions.set(sessionId, {
-                files: fileResults,
-                messages: [],
-                createdAt: new Date().toISOString()
-            });
+        res.json(buildChatResponse(sessionId, fileResults, aiResponse));
+
+    } catch (error) {
+        console.error('Chat error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Streaming chat endpoint (Server-Sent Events)
+// Emits `token` events while the answer is generated and a final `done` event
+// carrying the same payload as /api/chat. Closing the connection cancels generation.
+app.post('/api/chat/stream', chatLimits, async (req, res) => {
+    const {
+        message,
+        sessionId = 'default_' + Date.now(),
+        useRAG = true,
+        analyzeSentiment = true
+    } = req.body;
+
+    const files = req.files || [];
+    
+    if (!message && files.length === 0) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Either message or files are required' 
+        });
+    }
+
+    if (!canAccessSession(req, sessionId)) {
+        return sendSessionNotFound(res);
+    }
+
+    const generation = await validateGeneration(req.body);
+    if (generation.error) {
+        return sendInvalidGeneration(res, generation.error);
+    }
+
+    const { language, detection } = ahadAI.resolveLanguage(message, req.body.language || 'en', sessionId);
+    limit.recordUsage(req, 'uploadBytes', uploadSize(req));
+
+    console.log(`📡 Streaming chat: "${message || 'File upload'}" with ${files.length} file(s)`);
+    console.log(`📂 Session ID: ${sessionId}`);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log(`🛑 Client disconnected from stream (session ${sessionId})`);
+            abortController.abort();
         }
-        
-        const session = activeSessions.get(sessionId);
-        session.messages.push({
-            role: 'user',
-            content: message,
+    });
+
+    const sendEvent = (event, data) => {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const userId = req.user ? req.user.id : null;
+
+    try {
+        const fileResults = await handleSessionFiles(sessionId, files, language, userId);
+        sendEvent('start', {
+            sessionId,
             files: fileResults.map(f => f.filename),
             timestamp: new Date().toISOString()
         });
-        
-        session.messages.push({
-            role: 'assistant',
-            content: aiResponse.text,
+
+        const aiResponse = await generateChatResponse({
+            message,
+            language,
+            sessionId,
+            userId,
+            generation,
+            languageDetection: detection,
+            useRAG,
+            analyzeSentiment,
+            fileResults,
+            onToken: (token) => sendEvent('token', { token }),
+            signal: abortController.signal
+        });
+        limit.recordUsage(req, 'tokens', estimateTokens(message, aiResponse.text));
+
+        sendEvent('done', buildChatResponse(sessionId, fileResults, aiResponse));
+
+    } catch (error) {
+        console.error('Streaming chat error:', error);
+        sendEvent('error', {
+            success: false,
+            error: error.message || 'Internal server error',
             timestamp: new Date().toISOString()
         });
+    } finally {
+        res.end();
+    }
+});
 
-        // Keep only last 20 messages
-        if (session.messages.length > 20) {
-            session.messages = session.messages.slice(-20);
-        }
+// List conversations
+app.get('/api/sessions', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const { sessions, total } = ahadAI.listSessions({
+            limit,
+            offset,
+            userId: req.user ? req.user.id : undefined
+        });
 
-        // Combine file info with AI response
-        const response = {
+        res.json({
             success: true,
-            ...aiResponse,
-            sessionId: sessionId,
-            files: fileResults.map(f => ({
-                filename: f.filename,
-                type: f.type,
-                size: f.size,
-                extracted: !!f.content,
-                preview: f.preview,
-                success: f.success
-            })),
-            sessionFileCount: sessionFiles.length,
+            sessions,
+            total,
+            limit,
+            offset,
             timestamp: new Date().toISOString()
-        };
+        });
 
-        res.json(response);
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Sessions flagged for escalation (sustained negative sentiment or explicit frustration).
+// Admins see every flagged session, other users only their own.
+app.get('/api/sessions/flagged', async (req, res) => {
+    try {
+        const sessions = ahadAI.listFlaggedSessions({
+            userId: req.user && req.user.role !== 'admin' ? req.user.id : undefined
+        });
+
+        res.json({
+            success: true,
+            sessions,
+            total: sessions.length,
+            timestamp: new Date().toISOString()
+        });
 
     } catch (error) {
-        console.error('Chat error:', error);
+        console.error('List flagged sessions error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Mark a flagged session as handled by support
+app.post('/api/session/:sessionId/escalation/resolve', requireAdmin, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const escalation = await ahadAI.resolveEscalation(sessionId, {
+            resolvedBy: req.user ? req.user.id : null,
+            note: typeof req.body.note === 'string' ? req.body.note : null
+        });
+
+        if (!escalation) {
+            return res.status(404).json({
+                success: false,
+                error: 'No flagged session with this ID'
+            });
+        }
+
+        res.json({
+            success: true,
+            sessionId,
+            escalation,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Resolve escalation error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get session transcript
+app.get('/api/session/:sessionId', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const transcript = ahadAI.getSessionTranscript(sessionId);
+
+        if (!transcript || !canAccessSession(req, sessionId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...transcript,
             timestamp: new Date().toISOString()
         });
+
+    } catch (error) {
+        console.error('Get session error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Export session as Markdown, JSON or plain text
+app.get('/api/session/:sessionId/export', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { format = 'markdown' } = req.query;
+
+        if (!ahadAI.exporter.resolveFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid format. Use markdown, json or text.'
+            });
+        }
+
+        const exported = ahadAI.exportSession(sessionId, format);
+
+        if (!exported || !canAccessSession(req, sessionId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        res.setHeader('Content-Type', exported.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+        res.send(exported.content);
+
+    } catch (error) {
+        console.error('Export session error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
     }
 });
 
@@ -234,8 +780,13 @@ app.post('/api/chat', upload.array('files', 5), async (req, res) => {
 app.get('/api/session/:sessionId/files', async (req, res) => {
     try {
         const { sessionId } = req.params;
+        const session = ahadAI.getSession(sessionId);
         
-        if (!activeSessions.has(sessionId)) {
+        if (session && !canAccessSession(req, sessionId)) {
+            return sendSessionNotFound(res);
+        }
+
+        if (!session) {
             return res.json({
                 success: true,
                 sessionId,
@@ -244,12 +795,12 @@ app.get('/api/session/:sessionId/files', async (req, res) => {
             });
         }
         
-        const session = activeSessions.get(sessionId);
         
         res.json({
             success: true,
             sessionId,
             files: session.files.map(f => ({
+                id: f.id,
                 filename: f.filename,
                 type: f.type,
                 size: f.size,
@@ -268,14 +819,54 @@ app.get('/api/session/:sessionId/files', async (req, res) => {
     }
 });
 
+// Share an uploaded file with every session by promoting it to the global knowledge base
+app.post('/api/session/:sessionId/files/:fileId/promote', async (req, res) => {
+    try {
+        const { sessionId, fileId } = req.params;
+        const sessionFiles = ahadAI.getSession(sessionId)?.files || [];
+
+        if (!canAccessSession(req, sessionId) || !sessionFiles.some(file => file.id === fileId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found in this session'
+            });
+        }
+
+        const document = await ahadAI.promoteKnowledgeDocument(fileId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                error: 'No extracted content to promote for this file'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'File promoted to the shared knowledge base',
+            document,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Promote file error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Clear session
 app.delete('/api/session/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        if (activeSessions.has(sessionId)) {
-            activeSessions.delete(sessionId);
+        if (!canAccessSession(req, sessionId)) {
+            return sendSessionNotFound(res);
         }
+
+        await ahadAI.clearSession(sessionId);
         
         res.json({
             success: true,
@@ -294,9 +885,10 @@ app.delete('/api/session/:sessionId', async (req, res) => {
 });
 
 // File upload endpoint (separate from chat)
-app.post('/api/upload', upload.array('files', 5), async (req, res) => {
+app.post('/api/upload', limit.rate('upload'), upload.array('files', 5), limit.quota('uploadBytes', uploadSize), async (req, res) => {
     try {
         const { sessionId = 'default_' + Date.now() } = req.body;
+        const { language } = ahadAI.resolveLanguage(null, req.body.language || 'en', sessionId);
         const files = req.files;
         
         if (!files || files.length === 0) {
@@ -306,33 +898,15 @@ app.post('/api/upload', upload.array('files', 5), async (req, res) => {
             });
         }
 
+        if (!canAccessSession(req, sessionId)) {
+            return sendSessionNotFound(res);
+        }
+
+        limit.recordUsage(req, 'uploadBytes', uploadSize(req));
         console.log(`📤 Processing ${files.length} file(s) for upload to session: ${sessionId}`);
 
-        const results = await fileProcessor.processFiles(files);
-        
-        // Store in session
-        if (!activeSessions.has(sessionId)) {
-            activeSessions.set(sessionId, {
-                files: [],
-                messages: [],
-                createdAt: new Date().toISOString()
-            });
-        }
-        
-        const session = activeSessions.get(sessionId);
-        session.files = [...session.files, ...results];
-        
-        // Add to knowledge base
-        for (const file of results) {
-            if (file.content) {
-                await ahadAI.addToKnowledgeBase(file.content, 'file_upload', {
-                    filename: file.filename,
-                    type: file.type,
-                    size: file.size,
-                    sessionId: sessionId
-                });
-            }
-        }
+        // Store in session and add to knowledge base
+        const results = await handleSessionFiles(sessionId, files, language, req.user ? req.user.id : null);
 
         res.json({
             success: true,
@@ -345,6 +919,11 @@ app.post('/api/upload', upload.array('files', 5), async (req, res) => {
                 size: f.size,
                 extracted: !!f.content,
                 preview: f.preview,
+                ocr: f.ocr,
+                ocrConfidence: f.ocrConfidence,
+                pageCount: f.pages ? f.pages.length : undefined,
+                dimensions: f.dimensions,
+                warning: f.warning,
                 timestamp: new Date().toISOString()
             })),
             timestamp: new Date().toISOString()
@@ -361,9 +940,9 @@ app.post('/api/upload', upload.array('files', 5), async (req, res) => {
 });
 
 // Other endpoints remain the same...
-app.post('/api/rag/query', async (req, res) => {
+app.post('/api/rag/query', limit.rate('chat'), limit.quota('tokens'), limit.llmSlot, async (req, res) => {
     try {
-        const { query, language = 'en', topK = 3 } = req.body;
+        const { query, topK, sessionId } = req.body;
 
         if (!query) {
             return res.status(400).json({
@@ -372,14 +951,32 @@ app.post('/api/rag/query', async (req, res) => {
             });
         }
 
+        const generation = await validateGeneration(req.body);
+        if (generation.error) {
+            return sendInvalidGeneration(res, generation.error);
+        }
+
+        if (sessionId && !canAccessSession(req, sessionId)) {
+            return sendSessionNotFound(res);
+        }
+
         console.log(`🔍 RAG Query: "${query}"`);
 
-        const results = await ahadAI.ragQuery(query, language, { topK });
+        const { language, detection } = ahadAI.resolveLanguage(query, req.body.language || 'en', sessionId);
+        const results = await ahadAI.ragQuery(query, language, {
+            topK: topK ? parseInt(topK) : undefined,
+            sessionId,
+            userId: req.user ? req.user.id : null,
+            generation,
+            languageDetection: detection
+        });
+        limit.recordUsage(req, 'tokens', estimateTokens(query, results.text));
 
         res.json({
             success: true,
             query,
             results,
+            detectedLanguage: detection,
             timestamp: new Date().toISOString()
         });
 
@@ -404,12 +1001,34 @@ app.post('/api/knowledge/ingest', async (req, res) => {
             });
         }
 
-        const result = await ahadAI.addToKnowledgeBase(text, source, metadata);
+        // Knowledge is shared unless it is explicitly scoped to a session or user
+        const { visibility = 'global' } = metadata;
+        if (req.user) {
+            metadata.userId = req.user.id;
+        }
+
+        const scopeError = knowledgeScopeError(req, metadata, visibility);
+        if (scopeError) {
+            return res.status(400).json({
+                success: false,
+                error: scopeError
+            });
+        }
+
+        const result = await ahadAI.addToKnowledgeBase(text, source, { ...metadata, visibility });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
+        }
 
         res.json({
             success: true,
             message: 'Knowledge added successfully',
-            documentId: result.ids?.[0],
+            documentId: result.documentId,
+            chunkCount: result.chunkCount,
             count: result.count,
             timestamp: new Date().toISOString()
         });
@@ -423,10 +1042,194 @@ app.post('/api/knowledge/ingest', async (req, res) => {
     }
 });
 
+// List knowledge documents with optional filters (source, type, sessionId, language, q)
+app.get('/api/knowledge', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+        const offset = parseInt(req.query.offset) || 0;
+        const { source, type, sessionId, language, q } = req.query;
+
+        const { documents, total } = ahadAI.listKnowledge({
+            limit, offset, source, type, sessionId, language, q,
+            viewerId: canAccess(req, null) ? undefined : req.user.id
+        });
+
+        res.json({
+            success: true,
+            documents,
+            total,
+            limit,
+            offset,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('List knowledge error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/knowledge/:documentId', async (req, res) => {
+    try {
+        const document = ahadAI.getKnowledgeDocument(req.params.documentId);
+
+        if (!document || !canReadDocument(req, document)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            document,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Get knowledge error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Replace a document's text and/or merge metadata; it is re-chunked and re-embedded
+app.put('/api/knowledge/:documentId', async (req, res) => {
+    try {
+        const { text, metadata } = req.body;
+
+        if (text === undefined && metadata === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Text or metadata is required'
+            });
+        }
+
+        if ((text !== undefined && (typeof text !== 'string' || !text.trim())) ||
+            (metadata !== undefined && (typeof metadata !== 'object' || Array.isArray(metadata)))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Text must be a non-empty string and metadata an object'
+            });
+        }
+
+        const existing = ahadAI.getKnowledgeDocument(req.params.documentId);
+
+        if (!existing || !canReadDocument(req, existing)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
+
+        if (!canAccess(req, existing.userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the owner can modify this document'
+            });
+        }
+
+        // Ownership can only be reassigned by an admin
+        const changes = metadata && !canAccess(req, null)
+            ? { text, metadata: { ...metadata, userId: existing.userId || undefined } }
+            : { text, metadata };
+
+        // A new scope is checked like on ingest, so content can't be moved into someone else's session
+        if (metadata && (metadata.visibility !== undefined || metadata.sessionId !== undefined)) {
+            const scope = { ...existing.metadata, ...changes.metadata };
+            const scopeError = knowledgeScopeError(req, scope, scope.visibility || existing.visibility);
+
+            if (scopeError) {
+                return res.status(400).json({
+                    success: false,
+                    error: scopeError
+                });
+            }
+        }
+
+        const document = await ahadAI.updateKnowledgeDocument(req.params.documentId, changes);
+
+        res.json({
+            success: true,
+            document,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Update knowledge error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.delete('/api/knowledge/:documentId', async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const existing = ahadAI.getKnowledgeDocument(documentId);
+
+        if (!existing || !canReadDocument(req, existing)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
+
+        if (!canAccess(req, existing.userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the owner can delete this document'
+            });
+        }
+
+        await ahadAI.deleteKnowledgeDocument(documentId);
+
+        res.json({
+            success: true,
+            message: 'Document deleted successfully',
+            documentId,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Delete knowledge error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Re-embed the ChromaDB collection after OLLAMA_EMBEDDING_MODEL changed
+app.post('/api/knowledge/migrate', requireAdmin, async (req, res) => {
+    try {
+        const result = await ahadAI.migrateVectorStore();
+
+        res.json({
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Vector store migration error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Sentiment analysis
 app.post('/api/sentiment', async (req, res) => {
     try {
-        const { text, language = 'en' } = req.body;
+        const { text } = req.body;
 
         if (!text) {
             return res.status(400).json({
@@ -435,6 +1238,8 @@ app.post('/api/sentiment', async (req, res) => {
             });
         }
 
+        // Without a language the text's own language is detected
+        const { language, detection } = ahadAI.resolveLanguage(text, req.body.language || 'auto');
         const sentiment = await ahadAI.analyzeSentiment(text, language);
 
         res.json({
@@ -442,6 +1247,7 @@ app.post('/api/sentiment', async (req, res) => {
             text,
             sentiment,
             language,
+            detectedLanguage: detection,
             timestamp: new Date().toISOString()
         });
 
@@ -454,6 +1260,157 @@ app.post('/api/sentiment', async (req, res) => {
     }
 });
 
+// Classify a message's intent ({ label, confidence, alternatives })
+app.post('/api/intent', async (req, res) => {
+    try {
+        const { text } = req.body;
+
+        if (!text) {
+            return res.status(400).json({
+                success: false,
+                error: 'Text is required'
+            });
+        }
+
+        res.json({
+            success: true,
+            text,
+            intent: ahadAI.detectIntent(text),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Intent detection error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Intents the classifier knows and the state of the trained model
+app.get('/api/intents', (req, res) => {
+    res.json({
+        success: true,
+        ...ahadAI.intentClassifier.getStatus(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Submit a misclassified message with its correct intent; it is added to the training data
+app.post('/api/intents/feedback', async (req, res) => {
+    try {
+        const { text, intent, predicted } = req.body;
+        const classifier = ahadAI.intentClassifier;
+
+        if (typeof text !== 'string' || !text.trim() || text.length > 1000) {
+            return res.status(400).json({
+                success: false,
+                error: 'text must be a non-empty string of at most 1000 characters',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!classifier.intents.includes(intent)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown intent "${intent}". Known intents: ${classifier.intents.join(', ')}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { language } = ahadAI.resolveLanguage(text, req.body.language || 'auto');
+        const { entry, duplicate } = await classifier.addFeedback({
+            text: text.trim(),
+            intent,
+            language,
+            predicted: predicted || classifier.classify(text).label,
+            userId: req.user ? req.user.id : null
+        });
+
+        const model = config.intents.autoRetrain && !duplicate ? await classifier.train() : null;
+
+        res.status(duplicate ? 200 : 201).json({
+            success: true,
+            feedback: entry,
+            duplicate,
+            retrained: !!model,
+            message: model || duplicate ? undefined : 'Saved; used from the next retraining',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Intent feedback error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Retrain the intent classifier on the dataset plus submitted feedback
+app.post('/api/intents/retrain', requireAdmin, async (req, res) => {
+    try {
+        const model = await ahadAI.intentClassifier.train();
+
+        res.json({
+            success: true,
+            model,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Intent retraining error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Models that can be selected per request (?provider=... for a non-default provider)
+app.get('/api/models', async (req, res) => {
+    const registry = ahadAI.llmProviders;
+    const provider = req.query.provider || registry.defaultProvider;
+
+    if (!registry.isAllowed(provider)) {
+        return sendInvalidGeneration(res, `LLM provider "${provider}" is not available`);
+    }
+
+    const defaultModel = registry.resolveModel(provider);
+    const { allowedModels } = config.llm;
+    let models;
+    let warning;
+
+    try {
+        models = await registry.listModels(provider);
+    } catch (error) {
+        console.error('Model listing error:', error.message);
+        models = [{ name: defaultModel }];
+        warning = `Could not list models: ${error.message}`;
+    }
+
+    res.json({
+        success: true,
+        provider,
+        providers: registry.listAllowed(),
+        defaultModel,
+        models: models.map(model => ({
+            ...model,
+            default: sameModel(model.name, defaultModel),
+            allowed: sameModel(model.name, defaultModel) || allowedModels.length === 0
+                || allowedModels.some(allowed => sameModel(allowed, model.name))
+        })),
+        presets: Object.keys(config.llm.presets),
+        limits: {
+            maxTemperature: config.llm.maxTemperature,
+            maxTokens: config.llm.maxTokensLimit
+        },
+        ...(warning && { warning }),
+        timestamp: new Date().toISOString()
+    });
+});
+
 // Service status
 app.get('/api/status', async (req, res) => {
     try {
@@ -462,7 +1419,13 @@ app.get('/api/status', async (req, res) => {
         res.json({
             success: true,
             ...status,
-            activeSessions: activeSessions.size,
+            health: await health.readiness(),
+            knowledgeWatcher: knowledgeWatcher ? knowledgeWatcher.getStatus() : { enabled: false },
+            limits: {
+                enabled: config.limits.enabled,
+                llmQueue: llmQueue.getStatus(),
+                usage: limit.usage(req)
+            },
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -505,6 +1468,7 @@ app.listen(PORT, () => {
     console.log(`🚀 Ahad AI Backend Server running on port ${PORT}`);
     console.log(`📊 Health: http://localhost:${PORT}/api/health`);
     console.log(`💬 Chat API: http://localhost:${PORT}/api/chat`);
+    console.log(`📡 Stream API: http://localhost:${PORT}/api/chat/stream`);
     console.log(`📤 Upload API: http://localhost:${PORT}/api/upload`);
     console.log(`📚 RAG System: Ready for file uploads and analysis`);
 });
\ No newline at end of file
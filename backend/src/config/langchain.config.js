@@ -1,11 +1,53 @@
 module.exports = {
     // LLM Configuration
     llm: {
-        provider: process.env.LLM_PROVIDER || 'openai',
-        model: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+        // ollama, openai (any OpenAI-compatible server: llama.cpp, vLLM, LM Studio) or mock
+        provider: process.env.LLM_PROVIDER || 'ollama',
+        // Overrides the default provider's model below
+        model: process.env.LLM_MODEL || null,
         temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
-        maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '1000'),
-        timeout: parseInt(process.env.LLM_TIMEOUT || '30000')
+        maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '2000'),
+        // Local models on CPU can take a while to finish a long answer. Streams only time out
+        // when no token arrives for this long, so long answers that keep streaming are fine.
+        timeout: parseInt(process.env.LLM_TIMEOUT || '120000'),
+        // Extra attempts after a failed call, waiting retryDelay, 2x retryDelay, ... in between
+        retries: parseInt(process.env.LLM_RETRIES || '2'),
+        retryDelay: parseInt(process.env.LLM_RETRY_DELAY || '1000'),
+        // Consecutive failures before calls short-circuit to the fallback answer, and for how long
+        circuitBreaker: {
+            failureThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD || '3'),
+            resetTimeout: parseInt(process.env.LLM_BREAKER_RESET_MS || '30000')
+        },
+        // Other providers a request may select with `provider` (comma separated)
+        allowedProviders: (process.env.LLM_ALLOWED_PROVIDERS || '').split(',').map(p => p.trim()).filter(Boolean),
+        // Models a request may select with `model`; empty allows any model the provider has installed
+        allowedModels: (process.env.LLM_ALLOWED_MODELS || '').split(',').map(m => m.trim()).filter(Boolean),
+        // Upper bounds for per-request `temperature` and `maxTokens`
+        maxTemperature: parseFloat(process.env.LLM_MAX_TEMPERATURE || '1.5'),
+        maxTokensLimit: parseInt(process.env.LLM_MAX_TOKENS_LIMIT || '4096'),
+        // System prompt presets a request may select with `preset`
+        presets: {
+            default: '',
+            concise: 'Keep answers short: a few sentences or a brief list, with no preamble.',
+            detailed: 'Give thorough, well-structured answers, using headings or bullet points where they help.',
+            document: 'Focus on the uploaded documents: cite the relevant passages and say clearly when the documents do not answer the question.',
+            casual: 'Be warm and conversational, like chatting with a friend, and keep it light.'
+        },
+        
+        ollama: {
+            baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+            model: process.env.OLLAMA_MODEL || 'llama2'
+        },
+        openai: {
+            baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+            apiKey: process.env.OPENAI_API_KEY || '',
+            model: process.env.OPENAI_MODEL || 'local-model'
+        },
+        mock: {
+            model: 'mock',
+            // Fixed reply; by default the mock echoes the question
+            response: process.env.LLM_MOCK_RESPONSE || ''
+        }
     },
     
     // Embeddings Configuration
@@ -19,7 +61,65 @@ module.exports = {
     vectorStore: {
         type: process.env.VECTOR_STORE_TYPE || 'chroma',
         collectionName: process.env.VECTOR_STORE_COLLECTION || 'ahad_knowledge',
-        persistDirectory: process.env.VECTOR_STORE_DIR || './vector_store'
+        persistDirectory: process.env.VECTOR_STORE_DIR || './vector_store',
+        // Embeddings for the local index: auto (Ollama if reachable), ollama or hashing
+        localEmbeddings: process.env.VECTOR_STORE_EMBEDDINGS || 'auto',
+        // Re-embed the Chroma collection on startup when the embedding model changed
+        autoMigrate: process.env.CHROMA_AUTO_MIGRATE === 'true'
+    },
+    
+    // Language identification for requests sent with language=auto
+    languageDetection: {
+        // Below this confidence the session's last language (or defaultLanguage) is used
+        minConfidence: parseFloat(process.env.LANGUAGE_MIN_CONFIDENCE || '0.6'),
+        defaultLanguage: process.env.DEFAULT_LANGUAGE || 'en'
+    },
+    
+    // Session sentiment trend and escalation to a human (GET /api/sessions/flagged)
+    escalation: {
+        enabled: process.env.ESCALATION_ENABLED !== 'false',
+        // Scores kept per session and how many are needed before their average counts
+        window: parseInt(process.env.ESCALATION_WINDOW || '5'),
+        minMessages: parseInt(process.env.ESCALATION_MIN_MESSAGES || '3'),
+        // Flag when the recent average drops to this score or after this many negative messages in a row
+        negativeThreshold: parseFloat(process.env.ESCALATION_NEGATIVE_THRESHOLD || '-0.3'),
+        consecutiveNegative: parseInt(process.env.ESCALATION_CONSECUTIVE_NEGATIVE || '3'),
+        // Answers turn more empathetic once the moving average is at or below this score
+        toneThreshold: parseFloat(process.env.ESCALATION_TONE_THRESHOLD || '-0.25'),
+        smoothing: parseFloat(process.env.ESCALATION_SMOOTHING || '0.4'),
+        // How users reach a person, mentioned when a handoff is offered
+        handoffContact: process.env.ESCALATION_HANDOFF_CONTACT || ''
+    },
+    
+    // Intent classification (src/data/intents) with corrections submitted to POST /api/intents/feedback
+    intents: {
+        // Holds the trained model and submitted corrections
+        directory: process.env.INTENT_DATA_DIR || './data/intents',
+        // Below this confidence messages are classified as general. With a dozen intents a
+        // uniform guess is ~0.08 and a two-way tie 0.34; above 0.5 the best intent outweighs
+        // all the others together
+        minConfidence: parseFloat(process.env.INTENT_MIN_CONFIDENCE || '0.5'),
+        alternatives: parseInt(process.env.INTENT_ALTERNATIVES || '3'),
+        // Retrain as soon as a correction arrives instead of waiting for a retrain
+        autoRetrain: process.env.INTENT_AUTO_RETRAIN === 'true'
+    },
+    
+    // Local calculator, unit/currency converter and date tools used for calculate/convert/datetime intents
+    tools: {
+        enabled: process.env.TOOLS_ENABLED !== 'false',
+        // Let the model request a tool with a "CALL <tool>: <input>" line, at most maxModelCalls times per answer
+        modelCalls: process.env.TOOLS_MODEL_CALLS !== 'false',
+        maxModelCalls: parseInt(process.env.TOOLS_MAX_MODEL_CALLS || '2'),
+        // Time zone for "today" in date calculations
+        timezone: process.env.TOOLS_TIMEZONE || process.env.TZ || 'UTC',
+        // JSON file ({ asOf, rates }) replacing the bundled exchange rates in src/data/tools/currencies.json
+        currencyRatesFile: process.env.TOOLS_CURRENCY_RATES_FILE || ''
+    },
+    
+    // Readiness probes (GET /api/health/ready): per-check timeout and how long results are reused
+    health: {
+        timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '3000'),
+        cacheMs: parseInt(process.env.HEALTH_CACHE_MS || '5000')
     },
     
     // RAG Configuration
@@ -27,7 +127,11 @@ module.exports = {
         chunkSize: parseInt(process.env.RAG_CHUNK_SIZE || '1000'),
         chunkOverlap: parseInt(process.env.RAG_CHUNK_OVERLAP || '200'),
         similarityTopK: parseInt(process.env.RAG_SIMILARITY_K || '4'),
-        similarityThreshold: parseFloat(process.env.RAG_SIMILARITY_THRESHOLD || '0.7')
+        similarityThreshold: parseFloat(process.env.RAG_SIMILARITY_THRESHOLD || '0.7'),
+        // Minimum BM25 score for keyword-only hits (the similarity threshold is a cosine cutoff)
+        minLexicalScore: parseFloat(process.env.RAG_MIN_LEXICAL_SCORE || '1.0'),
+        // Who can retrieve uploaded files: 'session' (uploader's session only), 'user' or 'global'
+        uploadVisibility: process.env.UPLOAD_VISIBILITY || 'session'
     },
     
     // Memory Configuration
@@ -36,6 +140,55 @@ module.exports = {
         summaryInterval: parseInt(process.env.MEMORY_SUMMARY_INTERVAL || '10')
     },
     
+    // Session Storage Configuration
+    sessions: {
+        store: process.env.SESSION_STORE || 'json',
+        directory: process.env.SESSION_STORE_DIR || './data/sessions'
+    },
+    
+    // Knowledge Document Storage Configuration
+    knowledge: {
+        store: process.env.KNOWLEDGE_STORE || 'json',
+        directory: process.env.KNOWLEDGE_DIR || './data/knowledge',
+        // Source files for `npm run ingest`
+        baseDirectory: process.env.KNOWLEDGE_BASE_DIR || './data/knowlege_base',
+        // Watch baseDirectory and re-ingest changed files automatically
+        watch: process.env.KNOWLEDGE_WATCH === 'true',
+        watchDebounceMs: parseInt(process.env.KNOWLEDGE_WATCH_DEBOUNCE_MS || '2000')
+    },
+    
+    // Authentication Configuration
+    auth: {
+        // Set AUTH_ENABLED=false to run the API without accounts (single-user local setups)
+        enabled: process.env.AUTH_ENABLED !== 'false',
+        store: process.env.USER_STORE || 'json',
+        directory: process.env.USER_STORE_DIR || './data/users',
+        allowRegistration: process.env.AUTH_ALLOW_REGISTRATION !== 'false',
+        tokenTtlHours: parseInt(process.env.AUTH_TOKEN_TTL_HOURS || '168'),
+        // Failed logins per username or IP before login is locked for AUTH_LOCKOUT_MINUTES
+        maxFailedLogins: parseInt(process.env.AUTH_MAX_FAILED_LOGINS || '5'),
+        lockoutMinutes: parseInt(process.env.AUTH_LOCKOUT_MINUTES || '15'),
+        minPasswordLength: parseInt(process.env.AUTH_MIN_PASSWORD_LENGTH || '8')
+    },
+    
+    // Rate Limits, Quotas and LLM Concurrency
+    limits: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000'),
+        // Requests per window for each client (API key, user or IP); 0 disables a rule
+        rules: {
+            chat: parseInt(process.env.RATE_LIMIT_CHAT || '20'),
+            upload: parseInt(process.env.RATE_LIMIT_UPLOAD || '10'),
+            auth: parseInt(process.env.RATE_LIMIT_AUTH || '10'),
+            default: parseInt(process.env.RATE_LIMIT_DEFAULT || '120')
+        },
+        dailyTokens: parseInt(process.env.QUOTA_DAILY_TOKENS || '200000'),
+        dailyUploadBytes: parseInt(process.env.QUOTA_DAILY_UPLOAD_MB || '100') * 1024 * 1024,
+        // A local model generates one answer at a time; the rest wait in a bounded queue
+        llmConcurrency: parseInt(process.env.LLM_MAX_CONCURRENT || '1'),
+        llmQueueDepth: parseInt(process.env.LLM_MAX_QUEUE || '10')
+    },
+    
     // Voice Configuration
     voice: {
         sttProvider: process.env.STT_PROVIDER || 'browser',
@@ -0,0 +1,54 @@
+// Login tokens are sent as `Authorization: Bearer <token>`, API keys as `X-API-Key: <key>`
+// (a key in the Authorization header works too)
+function getCredential(req) {
+    const apiKey = req.get('x-api-key');
+    if (apiKey) return apiKey.trim();
+
+    const [scheme, value] = (req.get('authorization') || '').split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && value ? value.trim() : null;
+}
+
+// Attaches `req.user` / `req.auth` and rejects unauthenticated requests outside publicPaths.
+// With auth disabled every request passes and `req.user` stays null.
+function createAuthMiddleware(authService, options = {}) {
+    const { enabled = true, publicPaths = [] } = options;
+
+    return function authenticate(req, res, next) {
+        req.user = null;
+        req.auth = null;
+
+        if (!enabled) return next();
+
+        const credential = getCredential(req);
+        const identity = credential ? authService.authenticate(credential) : null;
+
+        if (identity) {
+            req.user = identity.user;
+            req.auth = identity;
+        }
+
+        if (identity || publicPaths.includes(req.path)) return next();
+
+        res.status(401).json({
+            success: false,
+            error: credential ? 'Invalid or expired credentials' : 'Authentication required',
+            timestamp: new Date().toISOString()
+        });
+    };
+}
+
+function requireAdmin(req, res, next) {
+    if (!req.user || req.user.role === 'admin') return next();
+
+    res.status(403).json({
+        success: false,
+        error: 'Administrator access required',
+        timestamp: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    createAuthMiddleware,
+    requireAdmin,
+    getCredential
+};
@@ -0,0 +1,120 @@
+const { RateLimitError } = require('../services/rate-limiter.service');
+
+// API keys and users get their own budgets; anonymous requests share their IP's
+function getClientKey(req) {
+    if (req.auth && req.auth.type === 'apiKey') return `key:${req.auth.credentialId}`;
+    if (req.user) return `user:${req.user.id}`;
+    return `ip:${req.ip}`;
+}
+
+function sendRateLimited(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(429).json({
+        success: false,
+        error: error.message,
+        retryAfter: error.retryAfter,
+        ...error.details,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Builds the per-route limit middlewares. Rate limits and quotas can be switched off
+// (RATE_LIMIT_ENABLED=false); the LLM queue always applies.
+function createLimitMiddleware({ rateLimiter, usageQuota, llmQueue, enabled = true, rules = {} }) {
+    // Requests per window for a named rule (chat, upload, auth, default)
+    function rate(rule) {
+        return (req, res, next) => {
+            const limit = rules[rule];
+            if (!enabled || !limit) return next();
+
+            const result = rateLimiter.consume(rule, getClientKey(req), limit);
+            res.set('RateLimit-Limit', String(limit));
+            res.set('RateLimit-Remaining', String(result.remaining));
+            res.set('RateLimit-Reset', String(Math.ceil(result.retryAfter)));
+
+            if (!result.allowed) {
+                console.log(`🚦 Rate limit "${rule}" hit by ${getClientKey(req)}`);
+                return sendRateLimited(res, new RateLimitError(
+                    'Too many requests, please slow down',
+                    result.retryAfter,
+                    { rule }
+                ));
+            }
+
+            next();
+        };
+    }
+
+    // Rejects the request once a daily quota is used up. With `amount`, the request's own
+    // usage (e.g. upload size) must also fit; the route charges it with recordUsage() once
+    // the request passed validation, so rejected requests cost nothing.
+    function quota(name, amount = null) {
+        return (req, res, next) => {
+            if (!enabled) return next();
+
+            const clientKey = getClientKey(req);
+            const requested = amount ? amount(req) : 0;
+
+            try {
+                usageQuota.check(clientKey, name, requested);
+            } catch (error) {
+                console.log(`🚦 Daily ${name} quota exhausted for ${clientKey}`);
+                return sendRateLimited(res, error);
+            }
+
+            next();
+        };
+    }
+
+    function recordUsage(req, name, amount) {
+        if (enabled && amount > 0) {
+            usageQuota.record(getClientKey(req), name, amount);
+        }
+    }
+
+    // Today's quota usage for the requesting client
+    function usage(req) {
+        return usageQuota.describe(getClientKey(req));
+    }
+
+    // Holds an LLM slot for the lifetime of the response
+    function llmSlot(req, res, next) {
+        const controller = new AbortController();
+        const onClose = () => controller.abort();
+        res.on('close', onClose);
+
+        llmQueue.acquire(controller.signal)
+            .then(release => {
+                res.off('close', onClose);
+
+                // The client went away while it was queued
+                if (res.destroyed) return release();
+
+                res.on('finish', release);
+                res.on('close', release);
+                next();
+            })
+            .catch(error => {
+                if (error instanceof RateLimitError) {
+                    console.log(`🚦 LLM queue full (${llmQueue.getStatus().queued} waiting)`);
+                    return sendRateLimited(res, error);
+                }
+                // Cancelled while queued: nobody is listening for a response
+            });
+    }
+
+    return {
+        rate,
+        quota,
+        recordUsage,
+        usage,
+        llmSlot,
+        getClientKey
+    };
+}
+
+module.exports = {
+    createLimitMiddleware,
+    getClientKey,
+    sendRateLimited
+};
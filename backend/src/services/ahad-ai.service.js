@@ -1,20 +1,62 @@
-const { Chroma } = require('@langchain/community/vectorstores/chroma');
 const { OllamaEmbeddings } = require('@langchain/community/embeddings/ollama');
 const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
-const { ChatOllama } = require('@langchain/community/chat_models/ollama');
-const natural = require('natural');
+const { Document } = require('langchain/document');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/langchain.config');
+const { createSessionStore } = require('./session-store.service');
+const { createKnowledgeStore } = require('./knowledge-store.service');
+const { ConversationExporter } = require('./conversation-export.service');
+const { LocalVectorStore } = require('./local-vector-store.service');
+const { HashingEmbeddings } = require('./hashing-embeddings.service');
+const { ChromaCollectionManager } = require('./chroma-collection.service');
+const { HybridRetriever } = require('./hybrid-retriever.service');
+const { LLMProviderRegistry } = require('./llm-provider.service');
+const { LanguageDetector } = require('./language-detector.service');
+const { SentimentAnalyzer } = require('./sentiment.service');
+const { EscalationTracker } = require('./escalation.service');
+const { IntentClassifier } = require('./intent-classifier.service');
+const { ToolRegistry } = require('./tool-registry.service');
 
 class AhadAIService {
     constructor() {
         this.vectorStore = null;
+        this.vectorStoreType = null;
         this.llm = null;
+        // Chat models for each configured provider (config.llm)
+        this.llmProviders = new LLMProviderRegistry(config.llm);
+        this.languageDetector = new LanguageDetector(config.languageDetection);
+        this.sentimentAnalyzer = new SentimentAnalyzer();
+        this.escalation = new EscalationTracker(config.escalation);
+        this.intentClassifier = new IntentClassifier(config.intents);
+        this.tools = new ToolRegistry(config.tools);
         this.embeddings = null;
         this.isReady = false;
         this.localKnowledge = [];
-        this.conversationHistory = new Map();
         this.chromaInitialized = false;
+        this.chromaManager = null;
         this.fileKnowledge = new Map();
-        this.sessionContexts = new Map();
+        
+        // Sessions (messages, files and extracted content) survive restarts
+        this.sessionStore = createSessionStore({
+            ...config.sessions,
+            maxMessages: config.memory.maxHistory
+        });
+        this.exporter = new ConversationExporter();
+        
+        // Ingested documents keep their original text so chunks can be rebuilt or re-embedded
+        this.knowledgeStore = createKnowledgeStore(config.knowledge);
+        
+        // Every document (uploads, manual ingestion) is chunked with the RAG settings
+        this.textSplitter = new RecursiveCharacterTextSplitter({
+            chunkSize: config.rag.chunkSize,
+            chunkOverlap: config.rag.chunkOverlap
+        });
+        this.retriever = new HybridRetriever({
+            topK: config.rag.similarityTopK,
+            similarityThreshold: config.rag.similarityThreshold,
+            minLexicalScore: config.rag.minLexicalScore
+        });
         
         // Language configuration
         this.languageConfig = {
@@ -65,14 +107,13 @@ class AhadAIService {
         try {
             console.log('🚀 Initializing Ahad AI Service with Multilingual Support...');
             
-            // 1. Initialize Ollama LLM
-            this.llm = new ChatOllama({
-                baseUrl: process.env.OLLAMA_BASE_URL || "http://localhost:11434",
-                model: process.env.OLLAMA_MODEL || "llama2",
-                temperature: 0.7,
-                numPredict: 2000
-            });
-            console.log('✅ Ollama LLM initialized for multilingual support');
+            // 0. Restore persisted sessions
+            await this.initializeSessionStore();
+            await this.initializeIntentClassifier();
+            
+            // 1. Initialize the configured LLM provider
+            this.llm = this.llmProviders.get();
+            console.log(`✅ ${this.llm.provider} LLM (${this.llm.model}) initialized for multilingual support`);
 
             // 2. Initialize embeddings
             this.embeddings = new OllamaEmbeddings({
@@ -81,11 +122,18 @@ class AhadAIService {
             });
             console.log('✅ Ollama embeddings initialized');
 
-            // 3. Initialize ChromaDB (optional)
-            await this.initializeChromaDB();
+            // 3. Initialize ChromaDB (optional), falling back to the embedded index
+            if (config.vectorStore.type !== 'local') {
+                await this.initializeChromaDB();
+            }
+            if (!this.vectorStore) {
+                await this.initializeLocalVectorStore();
+            }
 
             // 4. Load local knowledge
             await this.initializeLocalStorage();
+            await this.loadKnowledgeDocuments();
+            await this.rebuildSessionKnowledge();
             
             this.isReady = true;
             console.log('🎉 Ahad AI Service initialized successfully with 4 languages (EN, HI, AR, TE)');
@@ -97,6 +145,23 @@ class AhadAIService {
         }
     }
 
+    async initializeSessionStore() {
+        try {
+            const count = await this.sessionStore.initialize();
+            console.log(`💾 Restored ${count} session(s) from ${config.sessions.store} session store`);
+        } catch (error) {
+            console.error('❌ Failed to load sessions:', error.message);
+        }
+    }
+
+    async initializeIntentClassifier() {
+        try {
+            await this.intentClassifier.initialize();
+        } catch (error) {
+            console.error('❌ Failed to load intent classifier:', error.message);
+        }
+    }
+
     async initializeChromaDB() {
         try {
             const chromaUrl = process.env.CHROMA_URL || "http://localhost:8000";
@@ -110,36 +175,107 @@ class AhadAIService {
             
             console.log('💓 ChromaDB heartbeat test passed');
             
-            try {
-                this.vectorStore = await Chroma.fromExistingCollection(
-                    this.embeddings,
-                    {
-                        collectionName: "ahad_knowledge",
-                        url: chromaUrl
-                    }
-                );
-                console.log('📚 Connected to existing ChromaDB collection');
-                this.chromaInitialized = true;
-            } catch (collectionError) {
-                console.log('📝 ChromaDB collection not found');
-                this.vectorStore = null;
+            // Creates the collection if missing and checks the embedding model it was built with
+            this.chromaManager = new ChromaCollectionManager(this.embeddings, {
+                url: chromaUrl,
+                collectionName: config.vectorStore.collectionName,
+                embeddingModel: process.env.OLLAMA_EMBEDDING_MODEL || "nomic-embed-text"
+            });
+            await this.chromaManager.connect();
+            
+            if (this.chromaManager.migrationRequired) {
+                if (!config.vectorStore.autoMigrate) {
+                    // Never mix vectors from different models; wait for POST /api/knowledge/migrate
+                    console.log('⚠️ ChromaDB needs re-embedding (set CHROMA_AUTO_MIGRATE=true or POST /api/knowledge/migrate)');
+                    return;
+                }
+                await this.chromaManager.migrate();
             }
             
+            this.useChromaVectorStore();
+            
         } catch (chromaError) {
             console.log('⚠️ ChromaDB initialization failed:', chromaError.message);
             this.vectorStore = null;
         }
     }
 
+    useChromaVectorStore() {
+        this.vectorStore = this.chromaManager.createVectorStore();
+        this.chromaInitialized = true;
+        this.vectorStoreType = 'chroma';
+        console.log(`📚 Connected to ChromaDB collection "${config.vectorStore.collectionName}"`);
+    }
+
+    // Re-embed the ChromaDB collection after an embedding model change and switch to it
+    async migrateVectorStore() {
+        if (!this.chromaManager) {
+            throw new Error('ChromaDB is not connected');
+        }
+        
+        const result = await this.chromaManager.migrate();
+        if (this.vectorStoreType !== 'chroma') {
+            this.useChromaVectorStore();
+        }
+        
+        return {
+            ...result,
+            ...this.chromaManager.getStatus()
+        };
+    }
+
+    async initializeLocalVectorStore() {
+        try {
+            const location = {
+                collectionName: config.vectorStore.collectionName,
+                directory: path.resolve(__dirname, '../..', config.vectorStore.persistDirectory)
+            };
+            const persistedModel = await LocalVectorStore.readEmbeddingModel(location);
+            const { embeddings, model, available = true } = await this.selectLocalEmbeddings(persistedModel);
+            const store = new LocalVectorStore(embeddings, { ...location, embeddingModel: model, available });
+            
+            const count = await store.initialize();
+            this.vectorStore = store;
+            this.vectorStoreType = 'local';
+            console.log(`🗂️ Using local vector index (${model}) with ${count} chunk(s)${available ? '' : ', vector search paused'}`);
+        } catch (error) {
+            console.error('❌ Failed to initialize local vector index:', error.message);
+            this.vectorStore = null;
+        }
+    }
+
+    // Use Ollama embeddings when the server answers, otherwise the offline hashing embeddings.
+    // An index already built with Ollama keeps it, so a brief outage at startup doesn't
+    // re-embed everything with hashing (and back again once Ollama returns).
+    async selectLocalEmbeddings(persistedModel = null) {
+        const mode = config.vectorStore.localEmbeddings;
+        const ollamaModel = process.env.OLLAMA_EMBEDDING_MODEL || "nomic-embed-text";
+        
+        if (mode !== 'hashing') {
+            try {
+                await Promise.race([
+                    this.embeddings.embedQuery('ping'),
+                    new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), 5000).unref())
+                ]);
+                return { embeddings: this.embeddings, model: `ollama:${ollamaModel}` };
+            } catch (error) {
+                if (mode === 'ollama') throw error;
+                if (persistedModel === `ollama:${ollamaModel}`) {
+                    console.log(`⚠️ Ollama embeddings unavailable (${error.message}), vector search paused until ${persistedModel} is reachable`);
+                    return { embeddings: this.embeddings, model: persistedModel, available: false };
+                }
+                console.log(`⚠️ Ollama embeddings unavailable (${error.message}), using hashing embeddings`);
+            }
+        }
+        
+        const hashing = new HashingEmbeddings();
+        return { embeddings: hashing, model: hashing.model };
+    }
+
     async initializeFallbackLLM() {
         try {
-            this.llm = new ChatOllama({
-                baseUrl: process.env.OLLAMA_BASE_URL || "http://localhost:11434",
-                model: process.env.OLLAMA_MODEL || "llama2",
-                temperature: 0.7,
-                numPredict: 500
-            });
-            console.log('🤖 Fallback Ollama LLM initialized');
+            this.llm = this.llmProviders.get(undefined, { maxTokens: 500 });
+            console.log(`🤖 Fallback ${this.llm.provider} LLM initialized`);
         } catch (error) {
             console.error('❌ Failed to initialize fallback LLM:', error);
         }
@@ -149,7 +285,7 @@ class AhadAIService {
         console.log('💾 Initializing multilingual knowledge storage...');
         
         // Multilingual knowledge base
-        this.localKnowledge = [
+        const systemKnowledge = [
             {
                 content: "Ahad AI is a multilingual assistant supporting English, Hindi, Arabic, and Telugu",
                 metadata: { 
@@ -192,18 +328,85 @@ class AhadAIService {
             }
         ];
         
+        this.localKnowledge = systemKnowledge.map((doc, index) => ({
+            id: `system:${index}`,
+            documentId: `system:${index}`,
+            ...doc
+        }));
+        
         console.log(`📚 Local knowledge initialized with ${this.localKnowledge.length} multilingual documents`);
     }
 
+    // Re-chunk stored documents into local knowledge (their vectors are already persisted)
+    async loadKnowledgeDocuments() {
+        try {
+            const count = await this.knowledgeStore.initialize();
+            
+            for (const document of this.knowledgeStore.list()) {
+                // Documents stored before visibility scopes existed are re-embedded once so
+                // their vector metadata can be matched by the visibility filter
+                const needsScope = !document.metadata.visibility;
+                if (needsScope) {
+                    document.metadata.visibility = this.resolveVisibility(document.metadata);
+                    await this.removeDocumentChunks(document.id);
+                    await this.knowledgeStore.save(document);
+                }
+                
+                await this.indexDocument(document, { embed: needsScope });
+            }
+            
+            console.log(`📚 Loaded ${count} knowledge document(s)`);
+        } catch (error) {
+            console.error('❌ Failed to load knowledge documents:', error.message);
+        }
+    }
+
+    // Re-chunk persisted session files so their content is searchable after a restart
+    async rebuildSessionKnowledge() {
+        let chunkCount = 0;
+        
+        for (const session of this.sessionStore.list()) {
+            for (const file of session.files) {
+                if (!file.content || this.localKnowledge.some(c => c.documentId === file.id)) continue;
+                
+                const chunks = await this.chunkDocument(file.content, {
+                    source: 'file_upload',
+                    fileId: file.id,
+                    filename: file.filename,
+                    type: file.type,
+                    size: file.size,
+                    sessionId: session.id,
+                    userId: session.userId || undefined,
+                    visibility: 'session',
+                    language: session.language || 'en'
+                }, { documentId: file.id, pages: file.pages });
+                
+                this.localKnowledge.push(...chunks);
+                chunkCount += chunks.length;
+            }
+        }
+        
+        if (chunkCount > 0) {
+            console.log(`📚 Rebuilt ${chunkCount} chunk(s) from persisted session files`);
+        }
+    }
+
     async processWithRAG(options) {
         const {
             message,
             language = 'en',
             sessionId = 'default',
+            userId = null,
             useRAG = true,
             analyzeSentiment = true,
             files = [],
-            newFiles = []
+            newFiles = [],
+            // Validated per-request { provider, overrides, preset } (see LLMProviderRegistry.validateRequest)
+            generation = null,
+            // LanguageDetector result for the message, returned as detectedLanguage
+            languageDetection = null,
+            onToken = null,
+            signal = null
         } = options;
 
         console.log(`💬 Processing in ${language.toUpperCase()}: "${message}"`);
@@ -213,96 +416,105 @@ class AhadAIService {
             // Get conversation history
             const history = await this.getConversationHistory(sessionId);
             
-            // Get or create session context
-            if (!this.sessionContexts.has(sessionId)) {
-                this.sessionContexts.set(sessionId, {
-                    files: [],
-                    fileContext: '',
-                    lastUpdated: new Date().toISOString(),
-                    language: language
-                });
-            }
-            
-            const sessionContext = this.sessionContexts.get(sessionId);
-            
-            // Update session language if changed
-            sessionContext.language = language;
+            // Get or create the persisted session
+            await this.sessionStore.getOrCreate(sessionId, { language, userId });
+            await this.sessionStore.update(sessionId, { language });
+            const session = this.sessionStore.get(sessionId);
+            const fileContext = this.buildFileContext(session.files);
             
-            // Update session context with new files
             if (newFiles && newFiles.length > 0) {
-                sessionContext.files = [...sessionContext.files, ...newFiles];
-                
-                // Build file context string
-                let fileContext = '';
-                newFiles.forEach(file => {
-                    if (file.content) {
-                        fileContext += `\n\n=== File: ${file.filename} ===\n`;
-                        fileContext += `Type: ${file.type}\n`;
-                        fileContext += `Size: ${this.formatFileSize(file.size)}\n`;
-                        fileContext += `Content: ${file.content}\n`;
-                    }
-                });
-                
-                if (fileContext) {
-                    sessionContext.fileContext += fileContext;
-                }
-                
-                sessionContext.lastUpdated = new Date().toISOString();
-                console.log(`📝 Updated session context with ${newFiles.length} new file(s)`);
+                console.log(`📝 Session context includes ${newFiles.length} new file(s)`);
             }
 
+            // Analyze sentiment ({ label, score, confidence } in any supported language) first,
+            // so a conversation that is going badly changes the tone of this answer
+            const sentiment = analyzeSentiment
+                ? await this.analyzeSentiment(message, language)
+                : null;
+            const tracking = this.escalation.track(session, message, sentiment);
+
+            // Detect intent; calculations, conversions and date questions are answered by local tools
+            const intent = this.detectIntent(message);
+            const toolResults = this.tools.runForIntent(message, intent);
+
             // Process with RAG
             const ragResult = await this.ragQuery(
                 message, 
                 language, 
                 { 
                     history,
-                    fileContext: sessionContext.fileContext,
+                    fileContext,
                     sessionId,
-                    files: sessionContext.files
+                    userId,
+                    files: session.files,
+                    generation,
+                    languageDetection,
+                    empathetic: this.escalation.needsEmpathy(tracking.sentimentTrend, tracking.escalation),
+                    toolResults,
+                    onToken,
+                    signal
                 }
             );
-
-            // Analyze sentiment (English only for Natural NLP)
-            const sentiment = analyzeSentiment && language === 'en' 
-                ? await this.analyzeSentiment(message, language) 
-                : 'neutral';
-            
-            // Detect intent
-            const intent = this.detectIntent(message, language);
+            const tools = ragResult.tools || toolResults;
 
             // Store conversation
             await this.storeConversation(sessionId, {
                 role: 'user',
                 content: message,
                 language: language,
-                files: files?.length || 0,
+                files: newFiles.map(f => f.filename),
+                ...(sentiment && { sentiment }),
                 timestamp: new Date().toISOString()
             });
             
+            if (sentiment) {
+                await this.sessionStore.update(sessionId, {
+                    sentimentTrend: tracking.sentimentTrend,
+                    escalation: tracking.escalation
+                });
+            }
+            
             await this.storeConversation(sessionId, {
                 role: 'assistant',
                 content: ragResult.text,
                 language: language,
+                sources: ragResult.sources || [],
+                citations: this.compactCitations(ragResult.citations),
+                provider: ragResult.provider,
+                model: ragResult.model,
+                degraded: !!ragResult.degraded,
+                cancelled: !!ragResult.cancelled,
+                ...(tools.length > 0 && { tools }),
                 timestamp: new Date().toISOString()
             });
 
             return {
                 text: ragResult.text,
                 sentiment: sentiment,
+                sentimentTrend: tracking.sentimentTrend,
+                escalation: tracking.escalation,
                 intent: intent,
-                sources: ragResult.sources || ['ollama'],
+                tools: tools,
+                sources: ragResult.sources || ['llm'],
+                citations: ragResult.citations || [],
+                provider: ragResult.provider,
+                model: ragResult.model,
+                preset: ragResult.preset,
                 confidence: ragResult.confidence || 0.8,
+                degraded: !!ragResult.degraded,
+                ...(ragResult.degraded && { degradedReason: ragResult.degradedReason }),
                 language: language,
-                shouldSpeak: true,
+                detectedLanguage: languageDetection,
+                cancelled: !!ragResult.cancelled,
+                shouldSpeak: !ragResult.cancelled,
                 sessionId: sessionId,
-                fileCount: sessionContext.files.length,
+                fileCount: session.files.length,
                 timestamp: new Date().toISOString()
             };
 
         } catch (error) {
             console.error('Process with RAG error:', error);
-            return this.fallbackResponse(message, language);
+            return this.fallbackResponse(message, language, error.message);
         }
     }
 
@@ -310,57 +522,31 @@ class AhadAIService {
         console.log(`🔍 ${language.toUpperCase()} Query: "${query}"`);
         console.log(`📂 Context files: ${context.files ? context.files.length : 0}`);
         
-        if (!this.isReady || !this.llm) {
-            return this.fallbackResponse(query, language);
+        // Retrieve relevant documents (keyword + semantic, fused and reranked)
+        const { documents, sources } = await this.retrieve(query, {
+            sessionId: context.sessionId,
+            userId: context.userId,
+            topK: context.topK
+        });
+        const scoredDocuments = documents.map(doc => this.summarizeDocument(doc));
+        const { provider, overrides = {}, preset } = context.generation || {};
+        const llm = provider || Object.keys(overrides).length > 0
+            ? this.llmProviders.get(provider || undefined, overrides)
+            : this.llm;
+        const styleInstruction = this.llmProviders.getPresetInstruction(preset);
+        
+        if (!this.isReady || !llm) {
+            return {
+                ...this.fallbackResponse(query, language, 'The language model is not initialized'),
+                documents: scoredDocuments,
+                citations: this.buildCitations(documents)
+            };
         }
 
         try {
-            // Retrieve relevant documents
-            let relevantDocs = [];
-            let sources = [];
-            
-            // 1. Search local knowledge
-            const queryWords = query.toLowerCase().split(' ').filter(w => w.length > 2);
-            relevantDocs = this.localKnowledge
-                .filter(doc => {
-                    const content = doc.content.toLowerCase();
-                    return queryWords.length === 0 || queryWords.some(word => content.includes(word));
-                })
-                .slice(0, 3)
-                .map(doc => ({ 
-                    pageContent: doc.content,
-                    metadata: doc.metadata 
-                }));
-            
-            // 2. Search ChromaDB if available
-            if (this.vectorStore && this.chromaInitialized) {
-                try {
-                    const chromaDocs = await this.vectorStore.similaritySearch(query, 2);
-                    relevantDocs = [...relevantDocs, ...chromaDocs];
-                    sources.push('chromadb');
-                } catch (searchError) {
-                    console.log('⚠️ ChromaDB search error:', searchError.message);
-                }
-            }
-            
-            // 3. Search session-specific file knowledge
-            if (context.sessionId && this.sessionContexts.has(context.sessionId)) {
-                const sessionContext = this.sessionContexts.get(context.sessionId);
-                if (sessionContext.files.length > 0) {
-                    const fileDocs = this.searchInSessionFiles(query, sessionContext.files);
-                    relevantDocs = [...relevantDocs, ...fileDocs];
-                    if (fileDocs.length > 0) {
-                        sources.push('session_files');
-                    }
-                }
-            }
-            
-            sources.push('local_knowledge');
-            console.log(`📄 Found ${relevantDocs.length} relevant documents`);
-
-            // Generate response with Ollama - ENHANCED MULTILINGUAL PROMPT
-            const contextText = relevantDocs.length > 0 
-                ? relevantDocs.map(d => d.pageContent).join('\n\n')
+            // Generate response with the LLM - ENHANCED MULTILINGUAL PROMPT
+            const contextText = documents.length > 0 
+                ? documents.map((doc, i) => this.formatPassage(doc, i + 1)).join('\n\n')
                 : 'No specific context available. Use your general knowledge.';
             
             // Get language configuration
@@ -392,12 +578,24 @@ ${contextText}`;
             }
 
             // Add user query
+            // Exact answers from the calculator, converter or date tools
+            if (context.toolResults && context.toolResults.length > 0) {
+                enhancedPrompt += `\n\nTOOL RESULTS (computed exactly by local tools; use these values as given, never recalculate them):\n`;
+                enhancedPrompt += context.toolResults.map(result => result.error
+                    ? `- ${result.name} could not answer: ${result.error}`
+                    : `- ${result.name}: ${result.text}`
+                ).join('\n');
+            }
+
             enhancedPrompt += `\n\nUSER QUERY: ${query}`;
 
             // Add language-specific instructions based on query type
             enhancedPrompt += `\n\nLANGUAGE-SPECIFIC INSTRUCTIONS:\n`;
             enhancedPrompt += `1. Respond ONLY in ${langConfig.name} (${language.toUpperCase()})\n`;
             enhancedPrompt += `2. ${langConfig.instructions.general}\n`;
+            if (context.languageDetection?.romanized && context.languageDetection.language === language) {
+                enhancedPrompt += `   - The user writes ${langConfig.name} in Latin letters; reply the same way (romanized ${langConfig.name}) unless asked otherwise\n`;
+            }
             
             if (query.toLowerCase().includes('image') || query.toLowerCase().includes('picture') || query.toLowerCase().includes('photo')) {
                 enhancedPrompt += `3. ${langConfig.instructions.image}\n`;
@@ -424,52 +622,313 @@ ${contextText}`;
             enhancedPrompt += `- If no context, use general knowledge\n`;
             enhancedPrompt += `- Maintain conversation flow\n`;
             enhancedPrompt += `- Keep responses concise but complete\n`;
+            if (styleInstruction) {
+                enhancedPrompt += `- ${styleInstruction}\n`;
+            }
+            if (context.empathetic) {
+                const { handoffContact } = config.escalation;
+                enhancedPrompt += `- The user has been frustrated in this conversation: acknowledge it, apologise where appropriate and be especially patient and clear\n`;
+                enhancedPrompt += `- Offer to hand the conversation over to a human support agent${handoffContact ? ` (${handoffContact})` : ''}\n`;
+            }
+            if (documents.length > 0) {
+                enhancedPrompt += `- When you use a numbered passage from CONTEXT INFORMATION, cite it inline like [1] or [2]\n`;
+                enhancedPrompt += `- Only cite passage numbers that exist; never invent sources\n`;
+            }
+            if (this.tools.modelCalls) {
+                enhancedPrompt += `${this.tools.describeForPrompt()}\n`;
+            }
             
             enhancedPrompt += `\nRESPONSE IN ${language.toUpperCase()}:\n`;
 
             console.log(`🤖 Generating ${language.toUpperCase()} response with enhanced context...`);
-            const response = await this.llm.invoke(enhancedPrompt);
+            const tools = [...(context.toolResults || [])];
+            const { modelCalls, maxModelCalls } = this.tools;
+            let text = await this.generateAnswer(enhancedPrompt, llm, context, modelCalls && maxModelCalls > 0);
+            
+            // The model may answer with a tool call instead; run it and ask again with the result
+            for (let calls = 1; modelCalls && calls <= maxModelCalls && !context.signal?.aborted; calls++) {
+                const call = this.tools.parseCall(text);
+                if (!call) break;
+                
+                const result = this.tools.run(call.name, call.input, 'model');
+                tools.push(result);
+                enhancedPrompt += `CALL ${call.name}: ${call.input}\n`;
+                enhancedPrompt += `TOOL RESULT: ${result.error ? `error - ${result.error}` : result.text}\n`;
+                enhancedPrompt += `\nRESPONSE IN ${language.toUpperCase()} (answer the user using this result):\n`;
+                text = await this.generateAnswer(enhancedPrompt, llm, context, calls < maxModelCalls);
+            }
             
             return {
-                text: response.content,
+                text: text,
+                tools: tools,
                 sources: sources,
+                ...llm.describe(),
+                preset: preset || 'default',
+                documents: scoredDocuments,
+                citations: this.buildCitations(documents, text),
                 confidence: 0.9,
                 language: language,
+                cancelled: !!context.signal?.aborted,
                 timestamp: new Date().toISOString()
             };
             
         } catch (error) {
+            if (context.signal?.aborted) {
+                return {
+                    text: '',
+                    sources: [],
+                    language: language,
+                    cancelled: true,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            // Timeouts and retries are handled by the provider, so asking the LLM again won't help
             console.error(`❌ ${language.toUpperCase()} query error:`, error.message);
-            return this.getBasicResponse(query, language);
+            return {
+                ...this.fallbackResponse(query, language, error.message),
+                documents: scoredDocuments,
+                citations: this.buildCitations(documents)
+            };
         }
     }
 
-    searchInSessionFiles(query, sessionFiles) {
-        const results = [];
-        const queryWords = query.toLowerCase().split(' ').filter(w => w.length > 2);
+    // Streamed answers hold back their first tokens while they could still be a tool call,
+    // so a "CALL <tool>: ..." line never reaches the client
+    async generateAnswer(prompt, llm, context, allowToolCall = false) {
+        if (!context.onToken) {
+            const response = await llm.invoke(prompt, { signal: context.signal });
+            return response.content;
+        }
+        if (!allowToolCall) {
+            return this.streamResponse(prompt, context.onToken, context.signal, llm);
+        }
+        
+        let pending = '';
+        let released = false;
+        const text = await this.streamResponse(prompt, token => {
+            if (released) return context.onToken(token);
+            
+            pending += token;
+            if (!this.tools.mayBeCall(pending)) {
+                released = true;
+                context.onToken(pending);
+            }
+        }, context.signal, llm);
         
-        if (queryWords.length === 0) return results;
+        // A very short answer that never ruled out "CALL " (and wasn't a call) is sent now
+        if (!released && pending && !this.tools.parseCall(text)) {
+            context.onToken(pending);
+        }
+        return text;
+    }
+
+    // Stream the LLM answer token by token; returns the text generated so far if aborted
+    async streamResponse(prompt, onToken, signal = null, llm = this.llm) {
+        let text = '';
         
-        sessionFiles.forEach(file => {
-            if (file.content) {
-                const content = file.content.toLowerCase();
-                const matches = queryWords.filter(word => content.includes(word)).length;
+        try {
+            const stream = await llm.stream(prompt, { signal });
+            
+            for await (const chunk of stream) {
+                if (signal?.aborted) break;
+                
+                const token = chunk.content;
+                if (!token) continue;
                 
-                if (matches > 0) {
-                    results.push({
-                        pageContent: `From uploaded file "${file.filename}":\n${file.content.substring(0, 1000)}...`,
-                        metadata: {
-                            source: 'session_file',
-                            filename: file.filename,
-                            type: file.type,
-                            matchScore: matches / queryWords.length
-                        }
-                    });
+                text += token;
+                onToken(token);
+            }
+        } catch (error) {
+            if (!signal?.aborted) throw error;
+        }
+        
+        if (signal?.aborted) {
+            console.log(`🛑 Generation cancelled after ${text.length} characters`);
+        }
+        
+        return text;
+    }
+
+    // Hybrid retrieval over local knowledge (BM25) and the vector store, fused with RRF
+    async retrieve(query, options = {}) {
+        const topK = options.topK || config.rag.similarityTopK;
+        const candidateCount = topK * this.retriever.candidateMultiplier;
+        const sources = [];
+        
+        // Only global knowledge and the caller's own session/user uploads are searchable
+        const scope = { sessionId: options.sessionId, userId: options.userId };
+        
+        const lexical = this.retriever.lexicalSearch(
+            query,
+            this.localKnowledge,
+            candidateCount,
+            chunk => this.isVisible(chunk.metadata, scope)
+        );
+        
+        let vector = [];
+        if (this.vectorStore) {
+            try {
+                // The filter runs inside the vector store so private chunks never take up top-k slots
+                vector = (await this.vectorSearch(query, candidateCount, this.buildVisibilityFilter(scope)))
+                    .filter(({ doc }) => this.isVisible(doc.metadata, scope));
+            } catch (searchError) {
+                console.log('⚠️ Vector search error:', searchError.message);
+            }
+        }
+        
+        const documents = this.retriever.fuse(lexical, vector, { topK });
+        
+        if (documents.some(d => d.channels.includes('lexical'))) sources.push('local_knowledge');
+        if (documents.some(d => d.channels.includes('vector'))) {
+            sources.push(this.vectorStoreType === 'chroma' ? 'chromadb' : 'local_vectors');
+        }
+        if (documents.some(d => this.resolveVisibility(d.metadata) !== 'global')) sources.push('session_files');
+        
+        console.log(`📄 Retrieved ${documents.length} document(s) from ${lexical.length} keyword and ${vector.length} vector candidate(s)`);
+        return { documents, sources };
+    }
+
+    // global: everyone; session: the uploading session; user: the uploading user
+    resolveVisibility(metadata = {}) {
+        if (metadata.visibility) return metadata.visibility;
+        return metadata.sessionId ? 'session' : 'global';
+    }
+
+    isVisible(metadata = {}, scope = {}) {
+        switch (this.resolveVisibility(metadata)) {
+            case 'global':
+                return true;
+            case 'session':
+                return !!scope.sessionId && metadata.sessionId === scope.sessionId;
+            case 'user':
+                return !!scope.userId && metadata.userId === scope.userId;
+            default:
+                return false;
+        }
+    }
+
+    // Chroma `where` filter equivalent of isVisible (also understood by the local index)
+    buildVisibilityFilter(scope = {}) {
+        const clauses = [{ visibility: 'global' }];
+        
+        if (scope.sessionId) {
+            clauses.push({ $and: [{ visibility: 'session' }, { sessionId: scope.sessionId }] });
+        }
+        if (scope.userId) {
+            clauses.push({ $and: [{ visibility: 'user' }, { userId: scope.userId }] });
+        }
+        
+        return clauses.length === 1 ? clauses[0] : { $or: clauses };
+    }
+
+    // Vector search returning a 0-1 cosine similarity whatever the backing store reports
+    async vectorSearch(query, k, filter = null) {
+        const results = await this.vectorStore.similaritySearchWithScore(query, k, filter || undefined);
+        
+        if (this.vectorStoreType !== 'chroma') {
+            return results.map(([doc, similarity]) => ({ doc, similarity }));
+        }
+        
+        // Chroma returns distances: cosine distance, or squared L2 for older collections
+        const space = this.chromaManager?.collection?.metadata?.['hnsw:space'] || 'l2';
+        return results.map(([doc, distance]) => ({
+            doc,
+            similarity: Math.max(0, space === 'cosine' ? 1 - distance : 1 - distance / 2)
+        }));
+    }
+
+    // Passages are numbered so the model can cite them as [n]
+    formatPassage(doc, index) {
+        return `[${index}] ${this.describeSource(doc)}:\n${doc.content}`;
+    }
+
+    describeSource(doc) {
+        const metadata = doc.metadata || {};
+        if (metadata.filename) {
+            const location = metadata.page ? ` (page ${metadata.page})` : '';
+            return `${this.resolveVisibility(metadata) !== 'global' ? 'From uploaded file' : 'From document'} "${metadata.filename}"${location}`;
+        }
+        return `From ${metadata.source === 'system' ? 'Ahad AI knowledge' : `${metadata.source || 'knowledge base'} entry`}`;
+    }
+
+    // One citation per numbered passage; `cited` marks those the answer actually references
+    buildCitations(documents, text = '') {
+        const cited = new Set(
+            Array.from(String(text).matchAll(/\[(\d+)\]/g), match => parseInt(match[1]))
+        );
+        
+        return documents.map((doc, i) => ({
+            index: i + 1,
+            id: doc.id,
+            documentId: doc.metadata?.documentId || null,
+            source: doc.metadata?.source || 'unknown',
+            filename: doc.metadata?.filename || null,
+            page: doc.metadata?.page || null,
+            chunk: doc.metadata?.chunkIndex ?? null,
+            snippet: doc.content.length > 200 ? `${doc.content.substring(0, 200)}...` : doc.content,
+            excerpt: doc.content,
+            score: doc.score,
+            cited: cited.has(i + 1)
+        }));
+    }
+
+    // Saved messages keep the snippet and the chunk reference (documentId, chunk) but not the
+    // full excerpt, so session files don't grow with every answer
+    compactCitations(citations = []) {
+        return citations.map(({ excerpt, ...citation }) => citation);
+    }
+
+    // Full excerpts for saved citations, from chunks the session can still see
+    loadCitationExcerpts(citations = [], scope = {}) {
+        return citations.map(citation => {
+            const chunk = citation.documentId && citation.chunk !== null && citation.chunk !== undefined
+                ? this.localKnowledge.find(c => c.id === `${citation.documentId}:${citation.chunk}`)
+                : null;
+            return chunk && this.isVisible(chunk.metadata, scope)
+                ? { ...citation, excerpt: chunk.content }
+                : citation;
+        });
+    }
+
+    // Compact description of a retrieved document for API responses
+    summarizeDocument(doc) {
+        return {
+            id: doc.id,
+            source: doc.metadata?.source || 'unknown',
+            filename: doc.metadata?.filename || null,
+            page: doc.metadata?.page || null,
+            score: doc.score,
+            lexicalScore: doc.lexicalScore,
+            vectorScore: doc.vectorScore,
+            channels: doc.channels,
+            snippet: doc.content.length > 200 ? `${doc.content.substring(0, 200)}...` : doc.content
+        };
+    }
+
+    // Build the uploaded-files section of the prompt from the session's files
+    buildFileContext(files = []) {
+        // Small files are included whole; larger ones rely on the retrieved chunks
+        const inlineLimit = config.rag.chunkSize * 3;
+        let fileContext = '';
+        
+        files.forEach(file => {
+            if (file.content) {
+                fileContext += `\n\n=== File: ${file.filename} ===\n`;
+                fileContext += `Type: ${file.type}\n`;
+                fileContext += `Size: ${this.formatFileSize(file.size)}\n`;
+                if (file.pages?.length) {
+                    fileContext += `Pages: ${file.pages.length}\n`;
+                }
+                if (file.content.length <= inlineLimit) {
+                    fileContext += `Content: ${file.content}\n`;
+                } else {
+                    fileContext += `Content: (large document - relevant excerpts are included in CONTEXT INFORMATION)\n`;
                 }
             }
         });
         
-        return results.slice(0, 2);
+        return fileContext;
     }
 
     formatFileSize(bytes) {
@@ -480,42 +939,87 @@ ${contextText}`;
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    async addToKnowledgeBase(text, source = 'user', metadata = {}) {
+    // Split a document into chunks carrying file, page, offset and language metadata
+    async chunkDocument(text, metadata = {}, options = {}) {
+        const { documentId = uuidv4(), pages = null } = options;
+        
+        // Paged documents (PDFs) are chunked page by page so every chunk knows its page
+        const segments = pages && pages.length > 0
+            ? pages.filter(p => p.text).map(p => ({ text: p.text, page: p.page }))
+            : [{ text, page: null }];
+        
+        const chunks = [];
+        for (const segment of segments) {
+            const pieces = await this.textSplitter.splitText(segment.text);
+            let cursor = 0;
+            
+            for (const piece of pieces) {
+                const offset = segment.text.indexOf(piece, cursor);
+                if (offset !== -1) cursor = offset + 1;
+                
+                chunks.push({
+                    id: `${documentId}:${chunks.length}`,
+                    documentId,
+                    content: piece,
+                    metadata: {
+                        ...metadata,
+                        documentId,
+                        chunkIndex: chunks.length,
+                        page: segment.page,
+                        offset: offset !== -1 ? offset : null,
+                        length: piece.length,
+                        language: metadata.language || 'en'
+                    }
+                });
+            }
+        }
+        
+        return chunks;
+    }
+
+    // Chroma metadata only accepts scalar values
+    toVectorMetadata(metadata) {
+        const result = {};
+        for (const [key, value] of Object.entries(metadata)) {
+            if (value === null || value === undefined) continue;
+            if (Array.isArray(value)) {
+                result[key] = value.join(',');
+            } else if (typeof value !== 'object') {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+
+    async addToKnowledgeBase(text, source = 'user', metadata = {}, options = {}) {
         try {
-            // Add to local knowledge
-            this.localKnowledge.push({
-                content: text,
+            const now = new Date().toISOString();
+            const document = {
+                id: metadata.fileId || uuidv4(),
+                text: text,
+                source: source,
                 metadata: {
-                    source: source,
                     type: metadata.type || 'general',
-                    timestamp: new Date().toISOString(),
                     languages: metadata.languages || ['en'], // Track supported languages
-                    ...metadata
-                }
-            });
+                    ...metadata,
+                    visibility: this.resolveVisibility(metadata)
+                },
+                pages: options.pages || null,
+                createdAt: now,
+                updatedAt: now
+            };
             
-            console.log(`📝 Added to knowledge base from ${source}: ${text.substring(0, 100)}...`);
-            
-            // If ChromaDB is available, add there too
-            if (this.vectorStore && this.chromaInitialized) {
-                try {
-                    const textSplitter = new RecursiveCharacterTextSplitter({
-                        chunkSize: 1000,
-                        chunkOverlap: 200
-                    });
-                    
-                    const docs = await textSplitter.createDocuments([text], [metadata]);
-                    await this.vectorStore.addDocuments(docs);
-                    console.log('✅ Added to ChromaDB');
-                } catch (chromaError) {
-                    console.log('⚠️ Failed to add to ChromaDB:', chromaError.message);
-                }
-            }
+            const chunks = await this.indexDocument(document);
+            await this.knowledgeStore.save({ ...document, chunkCount: chunks.length });
+            
+            console.log(`📝 Added ${chunks.length} chunk(s) to knowledge base from ${source}: ${text.substring(0, 100)}...`);
             
             return {
                 success: true,
+                documentId: document.id,
+                chunkCount: chunks.length,
                 count: this.localKnowledge.length,
-                ids: [this.localKnowledge.length - 1]
+                ids: chunks.map(c => c.id)
             };
             
         } catch (error) {
@@ -527,18 +1031,183 @@ ${contextText}`;
         }
     }
 
+    // Chunk a stored document into local knowledge and (optionally) embed it into the vector store
+    async indexDocument(document, options = {}) {
+        const { embed = true } = options;
+        
+        const chunks = await this.chunkDocument(document.text, {
+            source: document.source,
+            timestamp: document.updatedAt,
+            ...document.metadata
+        }, { documentId: document.id, pages: document.pages });
+        
+        this.localKnowledge.push(...chunks);
+        
+        // Add to the vector store too (ChromaDB or the local index)
+        if (embed && this.vectorStore && chunks.length > 0) {
+            try {
+                const docs = chunks.map(chunk => new Document({
+                    pageContent: chunk.content,
+                    metadata: this.toVectorMetadata(chunk.metadata)
+                }));
+                
+                await this.vectorStore.addDocuments(docs, { ids: chunks.map(c => c.id) });
+                console.log(`✅ Added to ${this.vectorStoreType === 'chroma' ? 'ChromaDB' : 'local vector index'}`);
+            } catch (vectorError) {
+                console.log('⚠️ Failed to add to vector store:', vectorError.message);
+            }
+        }
+        
+        return chunks;
+    }
+
+    // Remove a document's chunks from local knowledge and the vector store
+    async removeDocumentChunks(documentId) {
+        this.localKnowledge = this.localKnowledge.filter(chunk => chunk.documentId !== documentId);
+        this.retriever.invalidate();
+        
+        if (this.vectorStore) {
+            try {
+                await this.vectorStore.delete({ filter: { documentId } });
+            } catch (vectorError) {
+                console.log('⚠️ Failed to delete from vector store:', vectorError.message);
+            }
+        }
+    }
+
+    listKnowledge(options = {}) {
+        const { limit = 20, offset = 0, source, type, sessionId, language, q, viewerId } = options;
+        const search = q ? q.toLowerCase() : null;
+        
+        const documents = this.knowledgeStore.list()
+            // A viewer only sees shared knowledge and their own documents
+            .filter(doc => !viewerId || this.resolveVisibility(doc.metadata) === 'global' || doc.metadata.userId === viewerId)
+            .filter(doc => !source || doc.source === source)
+            .filter(doc => !type || doc.metadata.type === type)
+            .filter(doc => !sessionId || doc.metadata.sessionId === sessionId)
+            .filter(doc => !language || doc.metadata.language === language || (doc.metadata.languages || []).includes(language))
+            .filter(doc => !search || doc.text.toLowerCase().includes(search) || (doc.metadata.filename || '').toLowerCase().includes(search))
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        
+        return {
+            documents: documents.slice(offset, offset + limit).map(doc => this.describeKnowledgeDocument(doc)),
+            total: documents.length
+        };
+    }
+
+    getKnowledgeDocument(documentId) {
+        const document = this.knowledgeStore.get(documentId);
+        return document ? this.describeKnowledgeDocument(document, { includeText: true }) : null;
+    }
+
+    // Replace a document's text and/or merge its metadata, then re-chunk and re-embed it
+    async updateKnowledgeDocument(documentId, changes = {}) {
+        const existing = this.knowledgeStore.get(documentId);
+        if (!existing) return null;
+        
+        const textChanged = typeof changes.text === 'string' && changes.text !== existing.text;
+        const updated = {
+            ...existing,
+            text: textChanged ? changes.text : existing.text,
+            metadata: { ...existing.metadata, ...(changes.metadata || {}) },
+            // Page boundaries no longer apply once the text is replaced
+            pages: textChanged ? null : existing.pages,
+            updatedAt: new Date().toISOString()
+        };
+        
+        await this.removeDocumentChunks(documentId);
+        const chunks = await this.indexDocument(updated);
+        await this.knowledgeStore.save({ ...updated, chunkCount: chunks.length });
+        
+        console.log(`✏️ Updated knowledge document ${documentId} (${chunks.length} chunk(s))`);
+        return this.getKnowledgeDocument(documentId);
+    }
+
+    async deleteKnowledgeDocument(documentId) {
+        if (!this.knowledgeStore.has(documentId)) return false;
+        
+        await this.removeDocumentChunks(documentId);
+        await this.knowledgeStore.delete(documentId);
+        
+        console.log(`🗑️ Deleted knowledge document ${documentId}`);
+        return true;
+    }
+
+    // Share a session (or user) upload with everyone by making it global knowledge
+    async promoteKnowledgeDocument(documentId) {
+        const document = this.knowledgeStore.get(documentId);
+        if (!document) return null;
+        
+        if (document.metadata.visibility === 'global') {
+            return this.getKnowledgeDocument(documentId);
+        }
+        
+        console.log(`📢 Promoting ${document.metadata.filename || documentId} to global knowledge`);
+        return this.updateKnowledgeDocument(documentId, {
+            metadata: {
+                visibility: 'global',
+                promotedFrom: document.metadata.visibility,
+                promotedAt: new Date().toISOString()
+            }
+        });
+    }
+
+    describeKnowledgeDocument(document, options = {}) {
+        const summary = {
+            id: document.id,
+            source: document.source,
+            type: document.metadata.type,
+            filename: document.metadata.filename || null,
+            sessionId: document.metadata.sessionId || null,
+            userId: document.metadata.userId || null,
+            visibility: this.resolveVisibility(document.metadata),
+            language: document.metadata.language || null,
+            metadata: document.metadata,
+            chunkCount: document.chunkCount,
+            length: document.text.length,
+            preview: document.text.length > 200 ? `${document.text.substring(0, 200)}...` : document.text,
+            createdAt: document.createdAt,
+            updatedAt: document.updatedAt
+        };
+        
+        if (options.includeText) {
+            summary.text = document.text;
+            summary.chunks = this.localKnowledge
+                .filter(chunk => chunk.documentId === document.id)
+                .map(chunk => ({
+                    id: chunk.id,
+                    chunkIndex: chunk.metadata.chunkIndex,
+                    page: chunk.metadata.page,
+                    offset: chunk.metadata.offset,
+                    length: chunk.metadata.length
+                }));
+        }
+        
+        return summary;
+    }
+
+    // Session methods
+    async addSessionFiles(sessionId, files, language = 'en', userId = null) {
+        await this.sessionStore.getOrCreate(sessionId, { language, userId });
+        return this.sessionStore.addFiles(sessionId, files);
+    }
+
+    getSession(sessionId) {
+        return this.sessionStore.get(sessionId);
+    }
+
     // Conversation history methods
     async getConversationHistory(sessionId, limit = 10) {
         try {
-            if (!this.conversationHistory.has(sessionId)) {
+            const session = this.sessionStore.get(sessionId);
+            if (!session || session.messages.length === 0) {
                 return 'No previous conversation in this session.';
             }
             
-            const history = this.conversationHistory.get(sessionId);
-            const recentHistory = history.slice(-limit);
+            const recentHistory = session.messages.slice(-limit);
             
             return recentHistory.map(msg => 
-                `${msg.role}: ${msg.content}${msg.files ? ` (uploaded ${msg.files} file(s))` : ''}`
+                `${msg.role}: ${msg.content}${msg.files?.length ? ` (uploaded ${msg.files.length} file(s))` : ''}`
             ).join('\n');
         } catch (error) {
             return 'No previous conversation.';
@@ -547,17 +1216,7 @@ ${contextText}`;
 
     async storeConversation(sessionId, message) {
         try {
-            if (!this.conversationHistory.has(sessionId)) {
-                this.conversationHistory.set(sessionId, []);
-            }
-            
-            const history = this.conversationHistory.get(sessionId);
-            history.push(message);
-            
-            // Limit to 50 messages
-            if (history.length > 50) {
-                this.conversationHistory.set(sessionId, history.slice(-50));
-            }
+            await this.sessionStore.addMessage(sessionId, message);
         } catch (error) {
             console.error('Error storing conversation:', error);
         }
@@ -565,81 +1224,25 @@ ${contextText}`;
 
     async analyzeSentiment(text, language = 'en') {
         try {
-            // Only English sentiment analysis for now (Natural NLP is English-centric)
-            if (language !== 'en') {
-                return 'neutral';
-            }
-            
-            const analyzer = new natural.SentimentAnalyzer('English', natural.PorterStemmer, 'afinn');
-            const tokenizer = new natural.WordTokenizer();
-            const tokens = tokenizer.tokenize(text);
-            const score = analyzer.getSentiment(tokens);
-            
-            if (score > 0.2) return 'positive';
-            if (score < -0.2) return 'negative';
-            return 'neutral';
+            return this.sentimentAnalyzer.analyze(text, language);
         } catch (error) {
-            return 'neutral';
-        }
-    }
-
-    detectIntent(text, language = 'en') {
-        const textLower = text.toLowerCase();
-        
-        // Language-agnostic intent detection
-        if (textLower.includes('upload') || textLower.includes('file') || textLower.includes('attach')) 
-            return 'file_upload';
-        if (textLower.includes('image') || textLower.includes('picture') || textLower.includes('photo')) 
-            return 'image_analysis';
-        if (textLower.includes('document') || textLower.includes('pdf') || textLower.includes('word')) 
-            return 'document_analysis';
-        if (textLower.includes('search') || textLower.includes('find')) 
-            return 'search';
-        if (textLower.includes('analyze') || textLower.includes('explain') || textLower.includes('describe')) 
-            return 'analysis';
-        if (textLower.includes('calculate') || textLower.includes('math')) 
-            return 'calculate';
-        if (textLower.includes('translate') || textLower.includes('language')) 
-            return 'translate';
-        if (textLower.includes('hello') || textLower.includes('hi') || 
-            textLower.includes('नमस्ते') || textLower.includes('مرحبا') || textLower.includes('హలో')) 
-            return 'greeting';
-        if (textLower.includes('help')) 
-            return 'help';
-        
-        return 'general';
-    }
-
-    async getBasicResponse(query, language) {
-        if (this.llm) {
-            try {
-                const langConfig = this.languageConfig[language] || this.languageConfig['en'];
-                
-                const prompt = `User asked in ${langConfig.name}: "${query}"
-                
-Respond in ${langConfig.name} language only as Ahad AI, a helpful multilingual assistant.
-Be friendly, informative, and helpful.
-If the user is asking about uploaded files but you don't have file context, ask them to upload the file first.
+            console.error('Sentiment analysis error:', error.message);
+            return { label: 'neutral', score: 0, confidence: 0 };
+        }
+    }
 
-Response in ${langConfig.name}:`;
-                
-                const response = await this.llm.invoke(prompt);
-                return {
-                    text: response.content,
-                    sources: ['ollama_llm'],
-                    confidence: 0.8,
-                    language: language,
-                    timestamp: new Date().toISOString()
-                };
-            } catch (error) {
-                console.error('Ollama LLM error:', error);
-            }
+    // { label, confidence, alternatives } from the trained intent classifier
+    detectIntent(text) {
+        try {
+            return this.intentClassifier.classify(text);
+        } catch (error) {
+            console.error('Intent detection error:', error.message);
+            return { label: 'general', confidence: 0, alternatives: [] };
         }
-        
-        return this.fallbackResponse(query, language);
     }
 
-    fallbackResponse(query, language) {
+    // Canned answer used when the LLM can't be reached; flagged as degraded for the client
+    fallbackResponse(query, language, reason = null) {
         const responses = {
             en: `I understand you're asking: "${query}". As Ahad AI, I can help you analyze uploaded files and answer questions about them. If you've uploaded files, please make sure they were successfully processed.`,
             hi: `मैं समझता हूं आप पूछ रहे हैं: "${query}"। आहद AI के रूप में, मैं अपलोड किए गए फाइलों का विश्लेषण करने और उनके बारे में प्रश्नों का उत्तर देने में आपकी सहायता कर सकता हूं। यदि आपने फाइलें अपलोड की हैं, तो कृपया सुनिश्चित करें कि वे सफलतापूर्वक प्रसंस्कृत हुई हैं।`,
@@ -651,11 +1254,21 @@ Response in ${langConfig.name}:`;
             text: responses[language] || responses.en,
             sources: ['fallback'],
             confidence: 0.6,
+            degraded: true,
+            degradedReason: reason,
             language: language,
             timestamp: new Date().toISOString()
         };
     }
 
+    // The answer language for a message (`requested` may be 'auto'); when detection is
+    // unsure the session keeps the language it was last using
+    resolveLanguage(text, requested, sessionId = null) {
+        const session = sessionId ? this.sessionStore.get(sessionId) : null;
+        const fallback = (session && session.language) || config.languageDetection.defaultLanguage;
+        return this.languageDetector.resolve(text, requested, fallback);
+    }
+
     getLanguageName(languageCode) {
         return this.languageConfig[languageCode]?.name || 'English';
     }
@@ -664,24 +1277,46 @@ Response in ${langConfig.name}:`;
         return {
             isReady: this.isReady,
             hasLLM: !!this.llm,
-            hasVectorStore: !!this.vectorStore && this.chromaInitialized,
-            ollamaModel: process.env.OLLAMA_MODEL || "llama2",
+            hasVectorStore: !!this.vectorStore,
+            vectorStore: this.vectorStore ? {
+                type: this.vectorStoreType,
+                embeddingModel: this.vectorStoreType === 'local'
+                    ? this.vectorStore.embeddingModel
+                    : process.env.OLLAMA_EMBEDDING_MODEL || "nomic-embed-text",
+                ...(this.vectorStoreType === 'local' && {
+                    chunkCount: this.vectorStore.size,
+                    searchAvailable: this.vectorStore.available
+                })
+            } : null,
+            chroma: this.chromaManager ? this.chromaManager.getStatus() : null,
+            llm: this.llm ? {
+                ...this.llm.describe(),
+                allowedProviders: this.llmProviders.listAllowed(),
+                circuits: this.llmProviders.getCircuitStatus()
+            } : null,
             supportedLanguages: Object.keys(this.languageConfig),
             localKnowledgeCount: this.localKnowledge.length,
-            activeSessions: this.sessionContexts.size,
-            conversationSessions: this.conversationHistory.size
+            localDocumentCount: new Set(this.localKnowledge.map(c => c.documentId)).size,
+            knowledgeDocumentCount: this.knowledgeStore.size,
+            intents: this.intentClassifier.getStatus(),
+            tools: this.tools.enabled ? this.tools.list().map(tool => tool.name) : [],
+            sessionStore: config.sessions.store,
+            activeSessions: this.sessionStore.size,
+            conversationSessions: this.sessionStore.list().filter(s => s.messages.length > 0).length
         };
     }
 
     // Clear session data
     async clearSession(sessionId) {
         try {
-            if (this.sessionContexts.has(sessionId)) {
-                this.sessionContexts.delete(sessionId);
-            }
+            await this.sessionStore.delete(sessionId);
             
-            if (this.conversationHistory.has(sessionId)) {
-                this.conversationHistory.delete(sessionId);
+            // Uploaded files belong to the session, so their knowledge goes with it (unless promoted)
+            const sessionDocuments = this.knowledgeStore.list().filter(doc => 
+                doc.metadata.sessionId === sessionId && doc.metadata.visibility !== 'global'
+            );
+            for (const document of sessionDocuments) {
+                await this.deleteKnowledgeDocument(document.id);
             }
             
             return {
@@ -700,26 +1335,140 @@ Response in ${langConfig.name}:`;
 
     // Get session information
     getSessionInfo(sessionId) {
-        if (!this.sessionContexts.has(sessionId)) {
+        const session = this.sessionStore.get(sessionId);
+        if (!session) {
             return {
                 exists: false,
                 message: 'Session not found'
             };
         }
         
-        const session = this.sessionContexts.get(sessionId);
-        const history = this.conversationHistory.get(sessionId) || [];
-        
         return {
             exists: true,
             sessionId: sessionId,
+            title: this.getSessionTitle(session),
             language: session.language || 'en',
             fileCount: session.files?.length || 0,
-            messageCount: history.length,
-            lastUpdated: session.lastUpdated,
+            messageCount: session.messages.length,
+            createdAt: session.createdAt,
+            lastUpdated: session.updatedAt,
             timestamp: new Date().toISOString()
         };
     }
+
+    // Sessions are titled after their first user message
+    getSessionTitle(session) {
+        const firstMessage = session.messages.find(msg => msg.role === 'user' && msg.content);
+        if (!firstMessage) {
+            return session.files?.length ? `Files: ${session.files[0].filename}` : 'New conversation';
+        }
+        
+        const title = firstMessage.content.replace(/\s+/g, ' ').trim();
+        return title.length > 60 ? `${title.substring(0, 57)}...` : title;
+    }
+
+    // List sessions, most recently active first
+    listSessions({ limit = 50, offset = 0, userId } = {}) {
+        const sessions = this.sessionStore.list()
+            .filter(session => !userId || session.userId === userId)
+            .map(session => ({
+                sessionId: session.id,
+                title: this.getSessionTitle(session),
+                language: session.language || 'en',
+                messageCount: session.messages.length,
+                fileCount: session.files.length,
+                flagged: !!session.escalation?.flagged,
+                createdAt: session.createdAt,
+                lastActivity: session.updatedAt
+            }))
+            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+        
+        return {
+            sessions: sessions.slice(offset, offset + limit),
+            total: sessions.length
+        };
+    }
+
+    // Sessions flagged for escalation, most recently triggered first
+    listFlaggedSessions({ userId } = {}) {
+        return this.sessionStore.list()
+            .filter(session => session.escalation?.flagged && (!userId || session.userId === userId))
+            .map(session => ({
+                sessionId: session.id,
+                userId: session.userId,
+                title: this.getSessionTitle(session),
+                language: session.language || 'en',
+                messageCount: session.messages.length,
+                escalation: session.escalation,
+                sentimentTrend: session.sentimentTrend || null,
+                lastUserMessage: [...session.messages].reverse().find(msg => msg.role === 'user')?.content || null,
+                lastActivity: session.updatedAt
+            }))
+            .sort((a, b) => new Date(b.escalation.lastTriggeredAt) - new Date(a.escalation.lastTriggeredAt));
+    }
+
+    // Clears a session's escalation flag once support has handled it
+    async resolveEscalation(sessionId, { resolvedBy = null, note = null } = {}) {
+        const session = this.sessionStore.get(sessionId);
+        if (!session || !session.escalation?.flagged) return null;
+
+        const escalation = {
+            flagged: false,
+            reasons: session.escalation.reasons,
+            flaggedAt: session.escalation.flaggedAt,
+            resolvedAt: new Date().toISOString(),
+            resolvedBy,
+            note
+        };
+        await this.sessionStore.update(sessionId, { escalation });
+        return escalation;
+    }
+
+    // Full transcript of a session (file content is left out)
+    getSessionTranscript(sessionId) {
+        const session = this.sessionStore.get(sessionId);
+        if (!session) return null;
+        
+        const scope = { sessionId: session.id, userId: session.userId };
+        return {
+            sessionId: session.id,
+            title: this.getSessionTitle(session),
+            language: session.language || 'en',
+            createdAt: session.createdAt,
+            lastActivity: session.updatedAt,
+            messageCount: session.messages.length,
+            sentimentTrend: session.sentimentTrend || null,
+            escalation: session.escalation || { flagged: false },
+            files: session.files.map(f => ({
+                id: f.id,
+                filename: f.filename,
+                type: f.type,
+                subtype: f.subtype,
+                size: f.size,
+                extracted: !!f.content,
+                timestamp: f.timestamp
+            })),
+            messages: session.messages.map(msg => ({
+                role: msg.role,
+                content: msg.content,
+                language: msg.language,
+                files: msg.files || [],
+                citations: this.loadCitationExcerpts(msg.citations, scope),
+                ...(msg.tools && { tools: msg.tools }),
+                cancelled: !!msg.cancelled,
+                degraded: !!msg.degraded,
+                ...(msg.sentiment && { sentiment: msg.sentiment }),
+                timestamp: msg.timestamp
+            }))
+        };
+    }
+
+    exportSession(sessionId, format = 'markdown') {
+        const transcript = this.getSessionTranscript(sessionId);
+        if (!transcript) return null;
+        
+        return this.exporter.export(transcript, format);
+    }
 }
 
 module.exports = { AhadAIService };
\ No newline at end of file
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { JsonFileSessionBackend, MemorySessionBackend } = require('./session-store.service');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Carries the HTTP status the route should answer with (and when to retry, for 429)
+class AuthError extends Error {
+    constructor(message, status = 400, retryAfter = null) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Local user accounts with scrypt password hashes, login tokens and API keys.
+// Only SHA-256 hashes of tokens and keys are stored; the secrets are shown once.
+class AuthService {
+    constructor(backend, options = {}) {
+        // The session backends persist any record with an `id`, one JSON file each
+        this.backend = backend;
+        this.allowRegistration = options.allowRegistration !== false;
+        this.minPasswordLength = options.minPasswordLength || 8;
+        this.tokenTtlMs = (options.tokenTtlHours || 168) * 60 * 60 * 1000;
+        // After this many failed logins for a username or from a client, further attempts
+        // are refused until the lockout window ends (0 disables)
+        this.maxFailedLogins = options.maxFailedLogins ?? 5;
+        this.lockoutMs = (options.lockoutMinutes || 15) * 60 * 1000;
+
+        this.users = new Map();
+        this.usernames = new Map();
+        this.credentials = new Map();
+        // `user:<name>` / `client:<ip>` → { count, resetAt }, in memory only
+        this.failedLogins = new Map();
+    }
+
+    async initialize() {
+        await this.backend.initialize();
+
+        const users = await this.backend.loadAll();
+        for (const user of users) {
+            if (user && user.id) {
+                this.users.set(user.id, user);
+                this.indexUser(user);
+            }
+        }
+
+        return this.users.size;
+    }
+
+    get size() {
+        return this.users.size;
+    }
+
+    indexUser(user) {
+        this.usernames.set(user.username.toLowerCase(), user.id);
+        user.tokens.forEach(token => this.credentials.set(token.hash, { userId: user.id, type: 'token', id: token.id }));
+        user.apiKeys.forEach(key => this.credentials.set(key.hash, { userId: user.id, type: 'apiKey', id: key.id }));
+    }
+
+    hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, 64);
+        return `scrypt:${salt}:${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        // A malformed stored hash never matches (timingSafeEqual throws on a length mismatch)
+        const parts = String(stored || '').split(':');
+        const [scheme, salt, expected] = parts;
+        if (parts.length !== 3 || scheme !== 'scrypt' || !salt || !/^[0-9a-f]{128}$/i.test(expected)) {
+            return false;
+        }
+
+        const hash = await scrypt(password, salt, 64);
+        return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+    }
+
+    // Seconds until a locked username or client may try again, or 0
+    lockedFor(keys) {
+        const now = Date.now();
+        let wait = 0;
+
+        for (const key of keys) {
+            const entry = this.failedLogins.get(key);
+            if (!entry) continue;
+            if (entry.resetAt <= now) {
+                this.failedLogins.delete(key);
+            } else if (entry.count >= this.maxFailedLogins) {
+                wait = Math.max(wait, Math.ceil((entry.resetAt - now) / 1000));
+            }
+        }
+
+        return wait;
+    }
+
+    recordFailedLogin(keys) {
+        const now = Date.now();
+
+        for (const [key, entry] of this.failedLogins) {
+            if (entry.resetAt <= now) this.failedLogins.delete(key);
+        }
+        for (const key of keys) {
+            const entry = this.failedLogins.get(key) || { count: 0, resetAt: now + this.lockoutMs };
+            entry.count++;
+            this.failedLogins.set(key, entry);
+        }
+    }
+
+    getUserByUsername(username) {
+        const id = this.usernames.get(String(username).toLowerCase());
+        return id ? this.users.get(id) : null;
+    }
+
+    async register({ username, password, displayName } = {}) {
+        if (!this.allowRegistration) {
+            throw new AuthError('Registration is disabled', 403);
+        }
+        if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,32}$/.test(username)) {
+            throw new AuthError('Username must be 3-32 characters: letters, digits, _ . or -');
+        }
+        if (typeof password !== 'string' || password.length < this.minPasswordLength) {
+            throw new AuthError(`Password must be at least ${this.minPasswordLength} characters`);
+        }
+        if (this.getUserByUsername(username)) {
+            throw new AuthError('Username is already taken', 409);
+        }
+
+        const passwordHash = await this.hashPassword(password);
+
+        // Checked again after hashing, and inserted without awaiting in between, so two
+        // concurrent registrations can't both take the username or both become admin
+        if (this.getUserByUsername(username)) {
+            throw new AuthError('Username is already taken', 409);
+        }
+
+        const user = {
+            id: uuidv4(),
+            username,
+            displayName: displayName || username,
+            // The first account administers the instance (migrations, every session)
+            role: this.users.size === 0 ? 'admin' : 'user',
+            passwordHash,
+            tokens: [],
+            apiKeys: [],
+            createdAt: new Date().toISOString()
+        };
+
+        this.users.set(user.id, user);
+        this.indexUser(user);
+        console.log(`👤 Registered user ${username}${user.role === 'admin' ? ' (admin)' : ''}`);
+
+        return this.issueToken(user);
+    }
+
+    // `clientKey` (the caller's IP) is throttled alongside the username, so guessing
+    // many passwords for one account or many accounts from one client both stop
+    async login({ username, password, clientKey = null } = {}) {
+        const keys = [`user:${String(username || '').toLowerCase()}`, ...(clientKey ? [`client:${clientKey}`] : [])];
+
+        if (this.maxFailedLogins > 0) {
+            const retryAfter = this.lockedFor(keys);
+            if (retryAfter > 0) {
+                throw new AuthError('Too many failed login attempts, please try again later', 429, retryAfter);
+            }
+        }
+
+        const user = username ? this.getUserByUsername(username) : null;
+
+        if (!user || typeof password !== 'string' || !(await this.verifyPassword(password, user.passwordHash))) {
+            if (this.maxFailedLogins > 0) this.recordFailedLogin(keys);
+            throw new AuthError('Invalid username or password', 401);
+        }
+
+        this.failedLogins.delete(keys[0]);
+        return this.issueToken(user);
+    }
+
+    async issueToken(user) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const record = {
+            id: uuidv4(),
+            hash: this.hashSecret(token),
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.tokenTtlMs).toISOString()
+        };
+
+        // Drop expired logins while we are rewriting the user anyway
+        user.tokens = user.tokens.filter(t => {
+            const expired = new Date(t.expiresAt).getTime() <= now;
+            if (expired) this.credentials.delete(t.hash);
+            return !expired;
+        });
+        user.tokens.push(record);
+        this.credentials.set(record.hash, { userId: user.id, type: 'token', id: record.id });
+
+        await this.persist(user);
+        return { token, expiresAt: record.expiresAt, user: this.describeUser(user) };
+    }
+
+    // Resolve a login token or API key to its user, or null
+    authenticate(secret) {
+        const hash = this.hashSecret(secret);
+        const credential = this.credentials.get(hash);
+        if (!credential) return null;
+
+        const user = this.users.get(credential.userId);
+        if (!user) return null;
+
+        if (credential.type === 'token') {
+            const token = user.tokens.find(t => t.id === credential.id);
+            if (!token || new Date(token.expiresAt).getTime() <= Date.now()) return null;
+        } else {
+            const key = user.apiKeys.find(k => k.id === credential.id);
+            if (!key) return null;
+
+            // Recording every request would rewrite the user file constantly
+            const lastUsed = key.lastUsedAt ? new Date(key.lastUsedAt).getTime() : 0;
+            if (Date.now() - lastUsed > 60 * 1000) {
+                key.lastUsedAt = new Date().toISOString();
+                this.persist(user);
+            }
+        }
+
+        return { user, type: credential.type, credentialId: credential.id, hash };
+    }
+
+    async logout(identity) {
+        if (identity.type !== 'token') return false;
+
+        identity.user.tokens = identity.user.tokens.filter(t => t.id !== identity.credentialId);
+        this.credentials.delete(identity.hash);
+        await this.persist(identity.user);
+        return true;
+    }
+
+    async createApiKey(userId, name) {
+        const user = this.users.get(userId);
+        if (!user) throw new AuthError('User not found', 404);
+
+        const key = `ahad_${crypto.randomBytes(24).toString('base64url')}`;
+        const record = {
+            id: uuidv4(),
+            name: name || 'API key',
+            prefix: key.slice(0, 12),
+            hash: this.hashSecret(key),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+
+        user.apiKeys.push(record);
+        this.credentials.set(record.hash, { userId: user.id, type: 'apiKey', id: record.id });
+        await this.persist(user);
+
+        console.log(`🔑 Created API key "${record.name}" for ${user.username}`);
+        return { key, apiKey: this.describeApiKey(record) };
+    }
+
+    listApiKeys(userId) {
+        const user = this.users.get(userId);
+        return user ? user.apiKeys.map(key => this.describeApiKey(key)) : [];
+    }
+
+    async revokeApiKey(userId, keyId) {
+        const user = this.users.get(userId);
+        const key = user && user.apiKeys.find(k => k.id === keyId);
+        if (!key) return false;
+
+        user.apiKeys = user.apiKeys.filter(k => k.id !== keyId);
+        this.credentials.delete(key.hash);
+        await this.persist(user);
+        return true;
+    }
+
+    describeApiKey(key) {
+        const { hash, ...details } = key;
+        return details;
+    }
+
+    describeUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            displayName: user.displayName,
+            role: user.role,
+            createdAt: user.createdAt
+        };
+    }
+
+    async persist(user) {
+        try {
+            await this.backend.save(user);
+        } catch (error) {
+            console.error(`❌ Failed to persist user ${user.username}:`, error.message);
+        }
+    }
+}
+
+function createAuthService(options = {}) {
+    const { store = 'json', directory = './data/users', ...settings } = options;
+
+    switch (store) {
+        case 'memory':
+            return new AuthService(new MemorySessionBackend(), settings);
+
+        case 'json':
+            return new AuthService(new JsonFileSessionBackend(path.resolve(__dirname, '../..', directory)), settings);
+
+        default:
+            throw new Error(`Unknown user store: ${store}`);
+    }
+}
+
+module.exports = {
+    AuthService,
+    AuthError,
+    createAuthService
+};
@@ -0,0 +1,181 @@
+const { ChromaClient } = require('chromadb');
+const { Chroma } = require('@langchain/community/vectorstores/chroma');
+
+// Creates the knowledge collection when missing and keeps its vectors consistent
+// with the configured embedding model, re-embedding documents when the model changes.
+class ChromaCollectionManager {
+    constructor(embeddings, options = {}) {
+        this.embeddings = embeddings;
+        this.url = options.url || 'http://localhost:8000';
+        this.collectionName = options.collectionName || 'ahad_knowledge';
+        this.embeddingModel = options.embeddingModel;
+        this.batchSize = options.batchSize || 100;
+
+        this.client = new ChromaClient({ path: this.url });
+        this.collection = null;
+        this.dimension = null;
+        this.migration = null;
+        this.migrating = false;
+    }
+
+    get migrationRequired() {
+        return !!this.migration;
+    }
+
+    async probeDimension() {
+        const vector = await this.embeddings.embedQuery('dimension probe');
+        return vector.length;
+    }
+
+    buildMetadata(dimension) {
+        return {
+            embedding_model: this.embeddingModel,
+            embedding_dimension: dimension,
+            'hnsw:space': 'cosine'
+        };
+    }
+
+    // Get (or create) the collection and check it was built with the current model
+    async connect() {
+        this.dimension = await this.probeDimension();
+
+        try {
+            this.collection = await this.client.getCollection({ name: this.collectionName });
+        } catch (error) {
+            this.collection = await this.client.createCollection({
+                name: this.collectionName,
+                metadata: this.buildMetadata(this.dimension)
+            });
+            console.log(`📝 Created ChromaDB collection "${this.collectionName}" (${this.embeddingModel}, ${this.dimension}d)`);
+            return this.getStatus();
+        }
+
+        const metadata = this.collection.metadata || {};
+        const count = await this.collection.count();
+
+        if (metadata.embedding_model === this.embeddingModel && metadata.embedding_dimension === this.dimension) {
+            return this.getStatus();
+        }
+
+        if (!metadata.embedding_model) {
+            // Collections created before models were recorded: adopt them when empty or compatible
+            const storedDimension = await this.getStoredDimension();
+            if (count === 0 || storedDimension === this.dimension) {
+                await this.stampMetadata(metadata);
+                return this.getStatus();
+            }
+        }
+
+        this.migration = {
+            from: metadata.embedding_model || 'unknown',
+            fromDimension: metadata.embedding_dimension || await this.getStoredDimension(),
+            to: this.embeddingModel,
+            toDimension: this.dimension,
+            documentCount: count
+        };
+        console.log(`⚠️ ChromaDB collection was embedded with ${this.migration.from}, current model is ${this.embeddingModel}`);
+
+        return this.getStatus();
+    }
+
+    async getStoredDimension() {
+        const sample = await this.collection.get({ limit: 1, include: ['embeddings'] });
+        return sample.embeddings?.[0]?.length || null;
+    }
+
+    async stampMetadata(existing = {}) {
+        // hnsw:space can only be set when a collection is created
+        const { 'hnsw:space': space, ...rest } = existing;
+        const { 'hnsw:space': _, ...metadata } = this.buildMetadata(this.dimension);
+
+        await this.collection.modify({ metadata: { ...rest, ...metadata } });
+        this.collection.metadata = { ...existing, ...metadata };
+        console.log(`🏷️ Recorded embedding model ${this.embeddingModel} on ChromaDB collection`);
+    }
+
+    // Re-embed every document into a fresh collection, then swap it in under the same name
+    async migrate() {
+        if (!this.migration) {
+            return { migrated: 0, skipped: true };
+        }
+        if (this.migrating) {
+            throw new Error('A migration is already running');
+        }
+
+        this.migrating = true;
+        const tempName = `${this.collectionName}_migration_${Date.now()}`;
+        let migrated = 0;
+        let originalDeleted = false;
+
+        try {
+            console.log(`🔁 Re-embedding ${this.migration.documentCount} document(s) with ${this.embeddingModel}...`);
+
+            const target = await this.client.createCollection({
+                name: tempName,
+                metadata: this.buildMetadata(this.dimension)
+            });
+
+            for (let offset = 0; ; offset += this.batchSize) {
+                const batch = await this.collection.get({
+                    limit: this.batchSize,
+                    offset,
+                    include: ['documents', 'metadatas']
+                });
+                if (batch.ids.length === 0) break;
+
+                const documents = batch.documents.map(doc => doc || '');
+                const embeddings = await this.embeddings.embedDocuments(documents);
+
+                await target.add({
+                    ids: batch.ids,
+                    embeddings,
+                    documents,
+                    metadatas: batch.metadatas.map(m => m || {})
+                });
+                migrated += batch.ids.length;
+            }
+
+            await this.client.deleteCollection({ name: this.collectionName });
+            originalDeleted = true;
+            await target.modify({ name: this.collectionName });
+            target.name = this.collectionName;
+
+            this.collection = target;
+            this.migration = null;
+            console.log(`✅ Migrated ${migrated} document(s) to ${this.embeddingModel}`);
+
+            return { migrated, skipped: false };
+        } catch (error) {
+            // Before the swap the original is untouched, so drop the partial copy;
+            // after it, the copy under tempName is the only complete one and must be kept
+            if (!originalDeleted) {
+                await this.client.deleteCollection({ name: tempName }).catch(() => {});
+            } else {
+                console.error(`❌ Migration failed after replacing the collection; re-embedded data is in "${tempName}"`);
+            }
+            throw error;
+        } finally {
+            this.migrating = false;
+        }
+    }
+
+    createVectorStore() {
+        return new Chroma(this.embeddings, {
+            index: this.client,
+            collectionName: this.collectionName
+        });
+    }
+
+    getStatus() {
+        return {
+            collection: this.collectionName,
+            embeddingModel: this.embeddingModel,
+            embeddingDimension: this.dimension,
+            migrationRequired: this.migrationRequired,
+            migrating: this.migrating,
+            ...(this.migration && { migration: this.migration })
+        };
+    }
+}
+
+module.exports = { ChromaCollectionManager };
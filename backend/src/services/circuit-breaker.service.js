@@ -0,0 +1,84 @@
+// Raised instead of calling a backend the breaker considers down
+class CircuitOpenError extends Error {
+    constructor(name, retryAfter) {
+        super(`${name} is temporarily unavailable, next attempt in ${Math.ceil(retryAfter)}s`);
+        this.name = 'CircuitOpenError';
+        this.retryAfter = Math.max(1, Math.ceil(retryAfter));
+    }
+}
+
+// Stops calling a failing backend after `failureThreshold` consecutive failures.
+// Once `resetTimeout` has passed a single trial request is let through (half-open):
+// success closes the circuit again, failure re-opens it for another `resetTimeout`.
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.resetTimeout = options.resetTimeout || 30 * 1000;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+    }
+
+    // Throws CircuitOpenError when the call should be skipped
+    beforeRequest() {
+        if (this.state === 'closed') return;
+
+        const remaining = this.openedAt + this.resetTimeout - Date.now();
+        if (this.state === 'open' && remaining <= 0) {
+            this.state = 'half_open';
+        }
+
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return;
+        }
+
+        throw new CircuitOpenError(this.name, Math.max(remaining, 1000) / 1000);
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            console.log(`✅ ${this.name} recovered, circuit closed`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error ? error.message : null;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                console.warn(`⚡ ${this.name} circuit opened after ${this.failures} failure(s): ${this.lastError}`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    // A trial request that ended without an outcome (e.g. cancelled) frees the slot
+    releaseTrial() {
+        this.trialInFlight = false;
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            lastError: this.lastError,
+            retryAt: this.state === 'closed' ? null : new Date(this.openedAt + this.resetTimeout).toISOString()
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError
+};
@@ -0,0 +1,125 @@
+class ConversationExporter {
+    constructor() {
+        this.formats = {
+            markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+            json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+            text: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+        };
+
+        this.aliases = {
+            md: 'markdown',
+            txt: 'text',
+            plain: 'text'
+        };
+    }
+
+    resolveFormat(format = 'markdown') {
+        const normalized = String(format).toLowerCase();
+        const resolved = this.aliases[normalized] || normalized;
+        return this.formats[resolved] ? resolved : null;
+    }
+
+    export(transcript, format = 'markdown') {
+        const resolved = this.resolveFormat(format);
+        if (!resolved) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const content = {
+            markdown: () => this.toMarkdown(transcript),
+            json: () => JSON.stringify(transcript, null, 2),
+            text: () => this.toText(transcript)
+        }[resolved]();
+
+        return {
+            content,
+            format: resolved,
+            ...this.formats[resolved],
+            filename: `${this.slugify(transcript.title)}-${this.slugify(transcript.sessionId).slice(-8)}.${this.formats[resolved].extension}`
+        };
+    }
+
+    toMarkdown(transcript) {
+        const lines = [
+            `# ${transcript.title}`,
+            '',
+            `- **Session:** ${transcript.sessionId}`,
+            `- **Language:** ${transcript.language}`,
+            `- **Started:** ${transcript.createdAt}`,
+            `- **Last activity:** ${transcript.lastActivity}`,
+            `- **Messages:** ${transcript.messageCount}`
+        ];
+
+        if (transcript.files.length > 0) {
+            lines.push('', '## Files', '');
+            transcript.files.forEach(file => {
+                lines.push(`- ${file.filename} (${file.type}, ${file.size} bytes)`);
+            });
+        }
+
+        lines.push('', '## Conversation', '');
+        transcript.messages.forEach(msg => {
+            const speaker = msg.role === 'user' ? '🧑 You' : '🤖 Ahad AI';
+            lines.push(`### ${speaker} · ${msg.timestamp}`, '');
+            if (msg.files && msg.files.length > 0) {
+                lines.push(`_Attached: ${msg.files.join(', ')}_`, '');
+            }
+            lines.push(msg.content || '', '');
+
+            const cited = this.citedSources(msg);
+            if (cited.length > 0) {
+                cited.forEach(c => lines.push(`> [${c.index}] ${this.describeCitation(c)}  `));
+                lines.push('');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    // Only the passages the answer actually referenced are worth exporting
+    citedSources(msg) {
+        return (msg.citations || []).filter(c => c.cited);
+    }
+
+    describeCitation(citation) {
+        const name = citation.filename || citation.source;
+        const location = citation.page ? `, page ${citation.page}` : '';
+        return `${name}${location}: "${citation.snippet}"`;
+    }
+
+    toText(transcript) {
+        const lines = [
+            transcript.title,
+            '='.repeat(transcript.title.length),
+            `Session: ${transcript.sessionId}`,
+            `Language: ${transcript.language}`,
+            `Started: ${transcript.createdAt}`,
+            ''
+        ];
+
+        transcript.messages.forEach(msg => {
+            const speaker = msg.role === 'user' ? 'You' : 'Ahad AI';
+            lines.push(`[${msg.timestamp}] ${speaker}:`);
+            if (msg.files && msg.files.length > 0) {
+                lines.push(`(attached: ${msg.files.join(', ')})`);
+            }
+            lines.push(msg.content || '');
+            this.citedSources(msg).forEach(c => {
+                lines.push(`  [${c.index}] ${this.describeCitation(c)}`);
+            });
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+
+    slugify(text) {
+        return String(text || 'conversation')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40) || 'conversation';
+    }
+}
+
+module.exports = { ConversationExporter };
@@ -0,0 +1,303 @@
+const { ToolError, normalizeNumerals } = require('./expression-evaluator.service');
+const { normalizeArabic } = require('./sentiment.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?(?![a-z])';
+
+// Relative day words in English, Hindi, Arabic and Telugu ("kal" is left out: it means both tomorrow and yesterday)
+const RELATIVE_DAYS = [
+    { pattern: /\bday after tomorrow\b|परसों/, offset: 2 },
+    { pattern: /\btomorrow\b|غدا|بكرة|రేపు/, offset: 1 },
+    { pattern: /\byesterday\b|امس|నిన్న/, offset: -1 },
+    { pattern: /\btoday\b|\baaj\b|आज|اليوم|ఈరోజు|ఈ రోజు|నేడు/, offset: 0 }
+];
+
+const OFFSET_UNITS = [
+    { unit: 'day', pattern: 'days?|din|दिन|يوم|ايام|రోజులు|రోజుల|రోజు|rojulu' },
+    { unit: 'week', pattern: 'weeks?|hafte|हफ्ते|हफ़्ते|सप्ताह|اسبوع|اسابيع|వారాలు|వారాల|వారం' },
+    { unit: 'month', pattern: 'months?|mahine|महीने|महीना|شهر|اشهر|شهور|నెలలు|నెలల|నెల' },
+    { unit: 'year', pattern: 'years?|saal|साल|वर्ष|سنة|سنوات|عام|సంవత్సరాలు|సంవత్సరాల|సంవత్సరం' }
+];
+
+// An offset ("2 days") is only date arithmetic with an anchor or a question about a date;
+// "arrived late by 2 days" is not
+const OFFSET_ANCHORS = /\bfrom\b|\bafter\b|\bbefore\b|\bago\b|\blater\b|\bhence\b|\bplus\b|\bminus\b|\badd\b|\bsubtract\b|\+|\buntil\b|\bin \d|\b(?:what|which)\b[^.?!]*\b(?:date|day)\b|\bwhen\b|\bbaad\b|\bpehle\b|\bkab\b|बाद|पहले|कब|तारीख|بعد|قبل|متى|تاريخ|తర్వాత|తరువాత|ముందు|క్రితం|ఎప్పుడు|తేదీ/;
+
+const PAST_WORDS = /\bago\b|\bbefore\b|\bearlier\b|\bpehle\b|पहले|قبل|క్రితం|ముందు/;
+const UNTIL_WORDS = /\buntil\b|\btill\b|\bto go\b|\bleft\b|\btak\b|तक|حتى|వరకు/;
+const SINCE_WORDS = /\bsince\b|منذ|నుండి/;
+const NOW_WORDS = /\btime\b|\bnow\b|\bsamay\b|\bwaqt\b|समय|वक्त|الوقت|الساعة|సమయం|టైమ్|ఇప్పుడు/;
+const DATE_WORDS = /\bdate\b|\bday\b|\btarikh\b|तारीख|दिन|التاريخ|يوم|తేదీ|రోజు/;
+
+// English and romanized words above are everyday words; they only ask for the clock in a question
+const NOW_QUESTIONS = /\bwhat\b|\bwhich\b|\bcurrent\b|\btell me\b|\bkya\b|\bkitne\b/;
+
+// A place or zone the time is asked for: "in tokyo", "टोक्यो में", "في طوكيو", "టోక్యోలో"
+const PLACE_PATTERNS = [
+    /\b(?:in|at)\s+([a-z][\w/+-]*(?:\s+[\w/+-]+)*?)\s*(?:\b(?:right now|now|today|currently)\b)?\s*[?.!]*$/,
+    /(\S+)\s+(?:में|mein)(?:\s|$)/,
+    /(?:^|\s)في\s+(\S+)/,
+    /(\S+)లో(?:\s|$)/
+];
+
+// Date arithmetic on calendar days: today's date and time, adding or subtracting days,
+// weeks, months and years, counting days until/since/between dates and finding the day
+// of the week. "Today" is taken in config.tools.timezone; dates are ISO (2026-12-25),
+// "25 December 2026", "Dec 25" or day-first numeric (25/12/2026).
+class DateTools {
+    constructor(options = {}) {
+        this.name = 'date';
+        this.description = 'date arithmetic, e.g. today, 30 days from 2026-01-15, days until 2026-12-25, weekday of 2024-03-15';
+        this.timezone = this.validateTimezone(options.timezone || 'UTC');
+    }
+
+    validateTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return timezone;
+        } catch (error) {
+            console.error(`⚠️ Unknown time zone "${timezone}", using UTC for date tools`);
+            return 'UTC';
+        }
+    }
+
+    // Today's date in the time zone (by default the configured one), as UTC midnight
+    today(timezone = this.timezone) {
+        const [year, month, day] = new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit'
+        }).format(new Date()).split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    currentTime(timezone = this.timezone) {
+        return new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone, hour: '2-digit', minute: '2-digit', hour12: false
+        }).format(new Date());
+    }
+
+    makeDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        // Rejects impossible dates such as 31 February
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+    }
+
+    // Every date mentioned in the text, in order: [{ date, index, length, yearGiven }], and
+    // impossible ones such as 2024-02-30 as { invalid, ... }
+    findDates(text) {
+        const found = [];
+        const today = this.today();
+        const add = (match, date, yearGiven = true) => {
+            if (!found.some(entry => match.index < entry.index + entry.length && entry.index < match.index + match[0].length)) {
+                found.push({ date, invalid: date ? null : match[0].trim(), index: match.index, length: match[0].length, yearGiven });
+            }
+        };
+        const monthIndex = name => MONTHS.indexOf(name.slice(0, 3)) + 1;
+        const currentYear = today.getUTCFullYear();
+
+        for (const match of text.matchAll(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g)) {
+            add(match, this.makeDate(+match[1], +match[2], +match[3]));
+        }
+        for (const match of text.matchAll(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/g)) {
+            add(match, this.makeDate(+match[3], +match[2], +match[1]));
+        }
+        for (const match of text.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s*(\\d{4}))?`, 'g'))) {
+            add(match, this.makeDate(match[3] ? +match[3] : currentYear, monthIndex(match[2]), +match[1]), !!match[3]);
+        }
+        for (const match of text.matchAll(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s*(\\d{4}))?`, 'g'))) {
+            add(match, this.makeDate(match[3] ? +match[3] : currentYear, monthIndex(match[1]), +match[2]), !!match[3]);
+        }
+        for (const { pattern, offset } of RELATIVE_DAYS) {
+            const match = text.match(pattern);
+            if (match) add(match, this.addDays(today, offset));
+        }
+
+        return found.sort((a, b) => a.index - b.index);
+    }
+
+    // { operation, ... } describing what the text asks, or null
+    parse(text) {
+        const normalized = normalizeArabic(normalizeNumerals(text).normalize('NFC').toLowerCase());
+        const dates = this.findDates(normalized);
+
+        // Never fall back to today for a date that doesn't exist
+        const invalid = dates.find(entry => entry.invalid);
+        if (invalid) {
+            throw new ToolError(`${invalid.invalid} is not a valid date`, 'math');
+        }
+
+        // Numbers inside dates ("2026-01-10") must not be read as offsets
+        let remainder = normalized;
+        for (const { index, length } of [...dates].reverse()) {
+            remainder = remainder.slice(0, index) + ' '.repeat(length) + remainder.slice(index + length);
+        }
+
+        if (dates.length >= 2) {
+            return { operation: 'between', from: dates[0].date, to: dates[1].date };
+        }
+
+        for (const { unit, pattern } of OFFSET_ANCHORS.test(remainder) ? OFFSET_UNITS : []) {
+            const match = remainder.match(new RegExp(`(\\d+)\\s*(?:${pattern})(?![\\p{L}\\p{M}])`, 'u'));
+            if (match) {
+                const amount = parseInt(match[1]) * (PAST_WORDS.test(remainder) ? -1 : 1);
+                return { operation: 'offset', from: dates[0]?.date || this.today(), amount, unit };
+            }
+        }
+
+        if (dates.length === 1) {
+            const [{ date, yearGiven }] = dates;
+            if (UNTIL_WORDS.test(remainder)) {
+                // "days until 25 December" means the next 25 December
+                const target = !yearGiven && date < this.today() ? this.addMonths(date, 12) : date;
+                return { operation: 'until', to: target };
+            }
+            if (SINCE_WORDS.test(remainder)) {
+                return { operation: 'since', from: date };
+            }
+            return { operation: 'describe', date };
+        }
+
+        const nowWord = remainder.match(NOW_WORDS) || remainder.match(DATE_WORDS);
+        if (nowWord && (!/^[a-z]/.test(nowWord[0]) || NOW_QUESTIONS.test(remainder))) {
+            const place = this.findPlace(remainder);
+            const timezone = place ? this.resolveTimezone(place) : this.timezone;
+            // A city or region that isn't a known zone ("tokyo") is left to the model rather
+            // than answered with the configured zone's time
+            return timezone ? { operation: 'now', timezone } : null;
+        }
+
+        return null;
+    }
+
+    findPlace(text) {
+        const cleaned = text.replace(/\bat the moment\b/g, ' ').trim();
+        for (const pattern of PLACE_PATTERNS) {
+            const match = cleaned.match(pattern);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
+    // IANA names and abbreviations Intl knows ("asia/tokyo", "utc", "ist"), otherwise null
+    resolveTimezone(name) {
+        try {
+            return new Intl.DateTimeFormat('en-US', { timeZone: name.trim() }).resolvedOptions().timeZone;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    addDays(date, days) {
+        return new Date(date.getTime() + days * DAY_MS);
+    }
+
+    // Adding a month to 31 January gives the last day of February
+    addMonths(date, months) {
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + months;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+    }
+
+    daysBetween(from, to) {
+        return Math.round((to - from) / DAY_MS);
+    }
+
+    format(date) {
+        const weekday = date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+        return `${weekday}, ${date.toISOString().slice(0, 10)}`;
+    }
+
+    describeSpan(days) {
+        const absolute = Math.abs(days);
+        const weeks = Math.floor(absolute / 7);
+        const rest = absolute % 7;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        return weeks > 0
+            ? `${plural(absolute, 'day')} (${plural(weeks, 'week')}${rest ? ` and ${plural(rest, 'day')}` : ''})`
+            : plural(absolute, 'day');
+    }
+
+    // Tool entry point: { operation, result, text, ... }
+    run(input) {
+        const request = this.parse(input);
+        if (!request) {
+            throw new ToolError('Could not find a date question, e.g. "30 days from 2026-01-15" or "days until 2026-12-25"');
+        }
+
+        const today = this.today();
+        const iso = date => date.toISOString().slice(0, 10);
+
+        switch (request.operation) {
+            case 'now': {
+                const { timezone } = request;
+                const date = this.today(timezone);
+                const time = this.currentTime(timezone);
+                return {
+                    operation: 'now',
+                    result: iso(date),
+                    time,
+                    timezone,
+                    text: `Today is ${this.format(date)}; the time is ${time} (${timezone})`
+                };
+            }
+
+            case 'offset': {
+                const { from, amount, unit } = request;
+                const result = unit === 'day' ? this.addDays(from, amount)
+                    : unit === 'week' ? this.addDays(from, amount * 7)
+                    : this.addMonths(from, unit === 'month' ? amount : amount * 12);
+                const span = `${Math.abs(amount)} ${unit}${Math.abs(amount) === 1 ? '' : 's'}`;
+                return {
+                    operation: 'offset',
+                    result: iso(result),
+                    text: `${span} ${amount < 0 ? 'before' : 'after'} ${this.format(from)} is ${this.format(result)}`
+                };
+            }
+
+            case 'between': {
+                const days = this.daysBetween(request.from, request.to);
+                return {
+                    operation: 'between',
+                    result: days,
+                    text: `From ${this.format(request.from)} to ${this.format(request.to)} is ${this.describeSpan(days)}${days < 0 ? ' back' : ''}`
+                };
+            }
+
+            case 'until': {
+                const days = this.daysBetween(today, request.to);
+                return {
+                    operation: 'until',
+                    result: days,
+                    text: days >= 0
+                        ? `${this.format(request.to)} is ${this.describeSpan(days)} from today (${this.format(today)})`
+                        : `${this.format(request.to)} was ${this.describeSpan(days)} ago (today is ${this.format(today)})`
+                };
+            }
+
+            case 'since': {
+                const days = this.daysBetween(request.from, today);
+                return {
+                    operation: 'since',
+                    result: days,
+                    text: `${this.describeSpan(days)} have passed since ${this.format(request.from)} (today is ${this.format(today)})`
+                };
+            }
+
+            default: {
+                const days = this.daysBetween(today, request.date);
+                const weekday = request.date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+                const relative = days === 0 ? 'today' : days > 0 ? `in ${this.describeSpan(days)}` : `${this.describeSpan(days)} ago`;
+                return {
+                    operation: 'describe',
+                    result: iso(request.date),
+                    weekday,
+                    text: `${iso(request.date)} is a ${weekday} (${relative})`
+                };
+            }
+        }
+    }
+}
+
+module.exports = { DateTools };
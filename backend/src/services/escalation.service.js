@@ -0,0 +1,109 @@
+const { normalizeArabic } = require('./sentiment.service');
+const FRUSTRATION_PHRASES = require('../data/escalation/frustration.json');
+
+function normalize(text) {
+    return normalizeArabic(String(text || '').normalize('NFC').toLowerCase()).replace(/\s+/g, ' ');
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Follows the sentiment of a session's user messages and decides when it needs a human.
+// The trend keeps an exponential moving average plus the last `window` scores; a session
+// is flagged after sustained negative sentiment or an explicit sign of frustration
+// ("talk to a human", "bekar hai", ...). Flags stay set until support resolves them.
+class EscalationTracker {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.window = options.window || 5;
+        this.minMessages = options.minMessages || 3;
+        this.negativeThreshold = options.negativeThreshold ?? -0.3;
+        this.consecutiveNegative = options.consecutiveNegative || 3;
+        this.toneThreshold = options.toneThreshold ?? -0.25;
+        this.smoothing = options.smoothing ?? 0.4;
+
+        // Phrases from every language are checked, since users switch languages mid-conversation
+        this.phrases = Object.values(FRUSTRATION_PHRASES).flat().map(normalize);
+    }
+
+    // The first frustration phrase found in the message, or null
+    detectFrustration(text) {
+        const normalized = normalize(text);
+        return this.phrases.find(phrase => normalized.includes(phrase)) || null;
+    }
+
+    // Folds one message's { label, score } into the session trend
+    updateTrend(trend, sentiment) {
+        const previous = trend || { average: 0, recent: [], negativeStreak: 0, messageCount: 0 };
+        const average = previous.messageCount === 0
+            ? sentiment.score
+            : this.smoothing * sentiment.score + (1 - this.smoothing) * previous.average;
+
+        return {
+            average: round(average),
+            direction: previous.messageCount === 0 || Math.abs(average - previous.average) < 0.05
+                ? 'stable'
+                : average > previous.average ? 'improving' : 'worsening',
+            recent: [...previous.recent, sentiment.score].slice(-this.window),
+            negativeStreak: sentiment.label === 'negative' ? previous.negativeStreak + 1 : 0,
+            messageCount: previous.messageCount + 1,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Returns { flagged, reasons, ... } for the updated trend; an existing flag is kept
+    evaluate(trend, escalation, frustration = null) {
+        const reasons = [];
+        const recentAverage = trend.recent.reduce((sum, score) => sum + score, 0) / trend.recent.length;
+
+        if (trend.negativeStreak >= this.consecutiveNegative) {
+            reasons.push(`${trend.negativeStreak} negative messages in a row`);
+        } else if (trend.recent.length >= this.minMessages && recentAverage <= this.negativeThreshold) {
+            reasons.push(`average sentiment ${round(recentAverage)} over the last ${trend.recent.length} messages`);
+        }
+        if (frustration) {
+            reasons.push(`frustration: "${frustration}"`);
+        }
+
+        if (escalation?.flagged) {
+            return reasons.length > 0 ? { ...escalation, lastTriggeredAt: new Date().toISOString() } : escalation;
+        }
+        if (reasons.length === 0) {
+            return escalation || { flagged: false };
+        }
+
+        const now = new Date().toISOString();
+        return {
+            flagged: true,
+            reasons,
+            flaggedAt: now,
+            lastTriggeredAt: now
+        };
+    }
+
+    // Updates a session's { sentimentTrend, escalation } with a new user message
+    track(session, text, sentiment) {
+        if (!this.enabled || !sentiment) {
+            return { sentimentTrend: session.sentimentTrend || null, escalation: session.escalation || { flagged: false } };
+        }
+
+        const sentimentTrend = this.updateTrend(session.sentimentTrend, sentiment);
+        const frustration = this.detectFrustration(text);
+        const escalation = this.evaluate(sentimentTrend, session.escalation, frustration);
+
+        if (escalation.flagged && !session.escalation?.flagged) {
+            console.warn(`🚩 Session ${session.id} flagged for escalation: ${escalation.reasons.join('; ')}`);
+        }
+
+        return { sentimentTrend, escalation, frustration };
+    }
+
+    // Whether answers should switch to a more empathetic tone and offer a human
+    needsEmpathy(sentimentTrend, escalation) {
+        if (!this.enabled) return false;
+        return !!escalation?.flagged || (!!sentimentTrend && sentimentTrend.average <= this.toneThreshold);
+    }
+}
+
+module.exports = { EscalationTracker };
@@ -0,0 +1,331 @@
+// Raised for input a tool can't handle; the message is shown to the model and the user.
+// `kind` is 'input' for text the tool doesn't understand and 'math' for a well-formed
+// request without an answer (division by zero, 30 February).
+class ToolError extends Error {
+    constructor(message, kind = 'input') {
+        super(message);
+        this.name = 'ToolError';
+        this.kind = kind;
+    }
+}
+
+// Arabic-Indic, Persian, Devanagari and Telugu digits become ASCII digits
+const DIGIT_RANGES = [0x0660, 0x06F0, 0x0966, 0x0C66];
+
+function normalizeNumerals(text) {
+    return String(text || '')
+        .replace(/[\u0660-\u0669\u06F0-\u06F9\u0966-\u096F\u0C66-\u0C6F]/g, digit => {
+            const code = digit.charCodeAt(0);
+            const zero = DIGIT_RANGES.find(start => code >= start && code <= start + 9);
+            return String(code - zero);
+        })
+        .replace(/\u066B/g, '.')
+        .replace(/\u066A/g, '%')
+        .replace(/\u066C/g, ',');
+}
+
+// Spoken operators in English, Hindi, Arabic and Telugu, rewritten before tokenizing
+const OPERATOR_WORDS = [
+    [/\bsquare root of\b|\bsqrt of\b|वर्गमूल|الجذر التربيعي ل?|వర్గమూలం/g, ' sqrt '],
+    [/\bto the power of\b|\braised to\b|की घात/g, ' ^ '],
+    [/\badd\s+(\d[\d.,]*)\s+(?:and|to)\s+(\d[\d.,]*)/g, ' $1 + $2 '],
+    [/\bsquared\b/g, ' ^ 2 '],
+    [/\bcubed\b/g, ' ^ 3 '],
+    [/\bmultiplied by\b|\btimes\b|\bguna\b|गुणा|ضرب|في(?= *\d)|గుణించు|గుణించి|ఇంటూ/g, ' * '],
+    [/\bdivided by\b|\bbhag\b|भाग|تقسيم|قسمة|على(?= *\d)|భాగించు|భాగించి/g, ' / '],
+    [/\bplus\b|\bjama\b|जमा|प्लस|زائد|ప్లస్|కలుపు/g, ' + '],
+    [/\bminus\b|घटा|माइनस|ناقص|మైనస్/g, ' - '],
+    [/\bpercent\b|\bper cent\b|प्रतिशत|بالمئة|في المئة|శాతం/g, ' % '],
+    [/\bmodulo\b/g, ' mod '],
+    [/(\d)\s*[x×]\s*(?=[\d(])/g, '$1 * '],
+    [/÷/g, ' / '],
+    [/−/g, ' - ']
+];
+
+// "240 का 15%" / "240 లో 15%" put the base first; rewrite them as "15% of 240"
+const PERCENT_OF_REORDER = /(\d+(?:\.\d+)?)\s*(?:का|की|के|ka|ki|ke|లో)\s*(\d+(?:\.\d+)?)\s*%/g;
+const PERCENT_OF_WORDS = /%\s*(?:of|من|में से)\s*/g;
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    log: Math.log10,
+    ln: Math.log,
+    exp: Math.exp,
+    min: Math.min,
+    max: Math.max
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const MAX_LENGTH = 200;
+
+// Evaluates arithmetic (+ - * / ^ %, "of", mod, parentheses, a few functions and constants)
+// with a small recursive-descent parser. Nothing is ever passed to eval/Function, so the
+// input can't run code. extract() finds the expression inside a chat message.
+class ExpressionEvaluator {
+    constructor() {
+        this.name = 'calculator';
+        this.description = 'exact arithmetic, e.g. (15/100)*240, sqrt(144), 2^10';
+    }
+
+    // Rewrites spoken operators and numerals into symbols
+    normalize(text) {
+        let normalized = normalizeNumerals(text).toLowerCase();
+        for (const [pattern, replacement] of OPERATOR_WORDS) {
+            normalized = normalized.replace(pattern, replacement);
+        }
+        return normalized
+            .replace(PERCENT_OF_REORDER, '$2% of $1')
+            .replace(PERCENT_OF_WORDS, '% of ');
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        // Numbers may use thousands separators and exponents (1,000.5, 2.5e-3)
+        const pattern = /(?:\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d*\.?\d+)(?:e[+-]?\d+)?|[a-z]+|[+\-*/^%(),]|\S+/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const value = match[0];
+            if (/^[\d.,]+(?:e[+-]?\d+)?$/.test(value) && /^[\d.,]*\d/.test(value)) {
+                tokens.push({ type: 'number', value: parseFloat(value.replace(/,/g, '')) });
+            } else if (/^[+\-*/^%(),]$/.test(value) || value === 'of' || value === 'mod') {
+                tokens.push({ type: 'operator', value });
+            } else if (FUNCTIONS[value]) {
+                tokens.push({ type: 'function', value });
+            } else if (CONSTANTS[value] !== undefined) {
+                tokens.push({ type: 'number', value: CONSTANTS[value], text: value });
+            } else {
+                tokens.push({ type: 'word', value });
+            }
+        }
+
+        return tokens;
+    }
+
+    // The longest run of math tokens in a message that contains a number and an operator
+    // or function, e.g. "what is 12 * (3 + 4)?" → "12 * (3 + 4)"; null when there is none
+    extract(text) {
+        const tokens = this.tokenize(this.normalize(text));
+        const runs = [];
+        let current = [];
+
+        for (const token of [...tokens, { type: 'word' }]) {
+            if (token.type !== 'word') {
+                current.push(token);
+                continue;
+            }
+            if (current.length > 0) runs.push(current);
+            current = [];
+        }
+
+        const candidates = runs
+            .map(run => this.trim(run))
+            .filter(run => run.some(t => t.type === 'number') && run.some(t => t.type === 'function' || (t.type === 'operator' && !'(),'.includes(t.value))))
+            .sort((a, b) => b.length - a.length);
+
+        for (const run of candidates) {
+            const expression = this.format(run);
+            try {
+                this.evaluateTokens(run);
+                return expression;
+            } catch (error) {
+                // A real calculation without an answer is still reported by run()
+                if (error.kind === 'math') return expression;
+                // Otherwise not a complete expression, e.g. "-" between two unrelated numbers
+            }
+        }
+        return null;
+    }
+
+    // Drops dangling operators and unbalanced parentheses at the edges of a run
+    trim(run) {
+        const tokens = [...run];
+        while (tokens.length && tokens[0].type === 'operator' && !['(', '-'].includes(tokens[0].value)) tokens.shift();
+        while (tokens.length && tokens[tokens.length - 1].type === 'operator' && ![')', '%'].includes(tokens[tokens.length - 1].value)) tokens.pop();
+
+        const open = tokens.filter(t => t.value === '(').length;
+        const close = tokens.filter(t => t.value === ')').length;
+        if (open > close && tokens[0]?.value === '(') tokens.shift();
+        if (close > open && tokens[tokens.length - 1]?.value === ')') tokens.pop();
+        return tokens;
+    }
+
+    format(tokens) {
+        return tokens
+            .map(t => t.text || String(t.value))
+            .join(' ')
+            .replace(/\( /g, '(')
+            .replace(/ \)/g, ')')
+            .replace(/ %/g, '%')
+            .replace(/ ,/g, ',')
+            .replace(/(\w) \(/g, '$1(');
+    }
+
+    evaluate(expression) {
+        if (String(expression).length > MAX_LENGTH) {
+            throw new ToolError(`Expression is longer than ${MAX_LENGTH} characters`);
+        }
+
+        const tokens = this.tokenize(this.normalize(expression));
+        const unknown = tokens.find(t => t.type === 'word');
+        if (unknown) {
+            throw new ToolError(`Unknown symbol "${unknown.value}"`);
+        }
+
+        return this.evaluateTokens(tokens);
+    }
+
+    evaluateTokens(tokens) {
+        let position = 0;
+        const peek = () => tokens[position];
+        const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+        const expect = value => {
+            if (!isOperator(value)) throw new ToolError(`Expected "${value}"`);
+            position++;
+        };
+
+        // Whether the term just parsed was a bare percentage ("10%") and whether the last
+        // postfix ended in "%"
+        let percentTerm = false;
+        let percentFactor = false;
+
+        // expression := term (("+" | "-") term)*
+        // Like a calculator, "100 - 10%" takes 10% of the left operand (90)
+        const expression = () => {
+            let value = term();
+            while (isOperator('+', '-')) {
+                const operator = tokens[position++].value;
+                let right = term();
+                if (percentTerm) right *= value;
+                value = operator === '+' ? value + right : value - right;
+            }
+            return value;
+        };
+
+        // term := unary (("*" | "/" | "mod" | "of") unary)*
+        const term = () => {
+            let value = unary();
+            let single = percentFactor;
+            while (isOperator('*', '/', 'mod', 'of')) {
+                single = false;
+                const operator = tokens[position++].value;
+                const right = unary();
+                if ((operator === '/' || operator === 'mod') && right === 0) {
+                    throw new ToolError('Division by zero', 'math');
+                }
+                value = operator === '/' ? value / right : operator === 'mod' ? value % right : value * right;
+            }
+            percentTerm = single;
+            return value;
+        };
+
+        // unary := "-" unary | power
+        const unary = () => {
+            if (isOperator('-')) {
+                position++;
+                return -unary();
+            }
+            if (isOperator('+')) {
+                position++;
+                return unary();
+            }
+            return power();
+        };
+
+        // power := postfix ("^" unary)?   (right-associative, binds tighter than unary minus on the left)
+        const power = () => {
+            const base = postfix();
+            if (isOperator('^')) {
+                position++;
+                return Math.pow(base, unary());
+            }
+            return base;
+        };
+
+        // postfix := primary "%"*
+        const postfix = () => {
+            let value = primary();
+            percentFactor = false;
+            while (isOperator('%')) {
+                position++;
+                value /= 100;
+                percentFactor = true;
+            }
+            return value;
+        };
+
+        // primary := number | function "(" args ")" | function primary | "(" expression ")"
+        const primary = () => {
+            const token = peek();
+            if (!token) throw new ToolError('Incomplete expression');
+
+            if (token.type === 'number') {
+                position++;
+                return token.value;
+            }
+
+            if (token.type === 'function') {
+                position++;
+                if (!isOperator('(')) return FUNCTIONS[token.value](postfix());
+
+                position++;
+                const args = [expression()];
+                while (isOperator(',')) {
+                    position++;
+                    args.push(expression());
+                }
+                expect(')');
+                return FUNCTIONS[token.value](...args);
+            }
+
+            if (isOperator('(')) {
+                position++;
+                const value = expression();
+                expect(')');
+                return value;
+            }
+
+            throw new ToolError(`Unexpected "${token.value}"`);
+        };
+
+        if (tokens.length === 0) throw new ToolError('Empty expression');
+
+        const value = expression();
+        if (position < tokens.length) {
+            throw new ToolError(`Unexpected "${tokens[position].value}"`);
+        }
+        if (!Number.isFinite(value)) {
+            throw new ToolError('The result is not a finite number', 'math');
+        }
+
+        // Hide floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+        return Number(value.toPrecision(12));
+    }
+
+    // Tool entry point: { expression, result, text }
+    run(input) {
+        const expression = this.extract(input) || String(input).trim();
+        const result = this.evaluate(expression);
+
+        return {
+            expression,
+            result,
+            text: `${expression} = ${result}`
+        };
+    }
+}
+
+module.exports = {
+    ExpressionEvaluator,
+    ToolError,
+    normalizeNumerals
+};
@@ -3,6 +3,8 @@ const mammoth = require('mammoth');
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { OCRService } = require('./ocr.service');
+const { PDFRasterizer } = require('./pdf-rasterizer.service');
 
 class FileProcessor {
     constructor() {
@@ -23,18 +25,41 @@ class FileProcessor {
             'application/msword': 'document'
         };
         
+        // Used when files come from disk (e.g. bulk ingestion) rather than an upload
+        this.extensionTypes = {
+            '.jpg': 'image/jpeg',
+            '.jpeg': 'image/jpeg',
+            '.png': 'image/png',
+            '.gif': 'image/gif',
+            '.webp': 'image/webp',
+            '.pdf': 'application/pdf',
+            '.txt': 'text/plain',
+            '.md': 'text/markdown',
+            '.json': 'application/json',
+            '.csv': 'text/csv',
+            '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            '.doc': 'application/msword'
+        };
+        
         this.uploadsDir = path.join(__dirname, '../../uploads');
         fs.ensureDirSync(this.uploadsDir);
+        
+        this.ocr = new OCRService();
+        this.pdfRasterizer = new PDFRasterizer();
+        
+        // Pages with less extracted text than this are treated as scanned and OCR'd
+        this.pdfMinPageChars = parseInt(process.env.PDF_MIN_PAGE_CHARS || '50');
+        this.pdfMaxOcrPages = parseInt(process.env.PDF_OCR_MAX_PAGES || '50');
     }
 
-    async processFiles(files) {
+    async processFiles(files, options = {}) {
         const results = [];
         
         for (const file of files) {
             try {
                 console.log(`📄 Processing file: ${file.originalname} (${file.mimetype})`);
                 
-                const result = await this.processFile(file);
+                const result = await this.processFile(file, options);
                 results.push(result);
                 
             } catch (error) {
@@ -53,24 +78,47 @@ class FileProcessor {
         return results;
     }
 
-    async processFile(file) {
+    async processFile(file, options = {}) {
+        const { language = 'en', saveFile = true } = options;
         const fileId = uuidv4();
         const fileType = this.getFileType(file.mimetype);
         const fileExtension = path.extname(file.originalname).toLowerCase();
         
         // Save file to disk (optional, for persistence)
-        const savedFilePath = path.join(this.uploadsDir, `${fileId}${fileExtension}`);
-        await fs.writeFile(savedFilePath, file.buffer);
+        let savedFilePath = null;
+        if (saveFile) {
+            savedFilePath = path.join(this.uploadsDir, `${fileId}${fileExtension}`);
+            await fs.writeFile(savedFilePath, file.buffer);
+        }
         
         // Extract content based on file type
         let content = null;
         let preview = null;
+        let pages = null;
+        let ocr = false;
+        let ocrConfidence = null;
+        let dimensions = null;
+        let warning = null;
         
         if (fileType === 'image') {
-            // For images, we'll create a description using OCR (basic for now)
-            content = await this.processImage(file);
+            // For images, extract any visible text with OCR
+            const imageResult = await this.processImage(file, language);
+            content = imageResult.content;
+            ocr = imageResult.ocr;
+            ocrConfidence = imageResult.ocrConfidence;
+            dimensions = imageResult.dimensions;
+            warning = imageResult.warning || null;
             preview = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
             
+        } else if (this.isPDF(file, fileExtension)) {
+            // PDFs keep per-page text and fall back to OCR for scanned pages
+            const pdfResult = await this.extractPDF(file.buffer, language);
+            content = pdfResult.content;
+            pages = pdfResult.pages;
+            ocr = pdfResult.ocr;
+            ocrConfidence = pdfResult.ocrConfidence;
+            warning = pdfResult.warning || null;
+            
         } else if (fileType === 'document') {
             // For documents, extract text content
             content = await this.extractDocumentContent(file, fileExtension);
@@ -84,55 +132,69 @@ class FileProcessor {
             size: file.size,
             content: content,
             preview: preview,
+            pages: pages,
+            ocr: ocr,
+            ocrConfidence: ocrConfidence,
+            ocrLanguage: ocr ? language : null,
+            dimensions: dimensions,
+            warning: warning,
             path: savedFilePath,
             success: true,
             timestamp: new Date().toISOString()
         };
     }
 
-    async processImage(file) {
-    try {
-        // Create a more descriptive analysis of the image
-        const imageInfo = {
-            filename: file.originalname,
-            size: this.formatFileSize(file.size),
-            type: file.mimetype,
-            dimensions: 'Unknown' // Would need image processing library to get dimensions
-        };
-        
-        // Create a prompt for the image
-        // In a production system, you would use:
-        // 1. Tesseract.js for OCR
-        // 2. TensorFlow.js for object detection
-        // 3. CLIP for image understanding
-        
-        const imageDescription = `
-[IMAGE FILE ANALYSIS]
-Filename: ${imageInfo.filename}
-File Type: ${imageInfo.type}
-File Size: ${imageInfo.size}
-
-This is an image file that has been uploaded. To analyze this image properly:
+    // By extension, declared type or the %PDF- signature, so a renamed PDF is never read as text
+    isPDF(file, extension) {
+        return extension === '.pdf'
+            || file.mimetype === 'application/pdf'
+            || (Buffer.isBuffer(file.buffer) && file.buffer.subarray(0, 5).toString('latin1') === '%PDF-');
+    }
 
-1. VISUAL DESCRIPTION NEEDED: The image appears to contain visual content that requires analysis.
-2. POTENTIAL CONTENT: It could contain text, objects, people, diagrams, or other visual elements.
-3. ANALYSIS REQUESTED: When the user asks about this image, provide a detailed visual description including:
-   - Objects and elements visible
-   - Colors and composition
-   - Any readable text
-   - Context and possible meaning
-   - Overall impression and observations
+    async processImage(file, language = 'en') {
+        try {
+            const result = await this.ocr.extractText(file.buffer, language);
+            const dimensions = result.dimensions.width
+                ? `${result.dimensions.width}x${result.dimensions.height}`
+                : 'Unknown';
+            
+            if (!result.text) {
+                return {
+                    content: null,
+                    ocr: true,
+                    ocrConfidence: 0,
+                    dimensions: result.dimensions,
+                    warning: 'No readable text detected in image'
+                };
+            }
+            
+            const content = `[IMAGE: ${file.originalname}]
+File Type: ${file.mimetype}
+File Size: ${this.formatFileSize(file.size)}
+Dimensions: ${dimensions}
+OCR Confidence: ${result.confidence}%
 
-For specific analysis, please ask the user to describe what they see or ask specific questions about the image.
-`;
+Text extracted from image:
+${result.text}`;
 
-        return imageDescription;
-        
-    } catch (error) {
-        console.error('Image processing error:', error);
-        return `[Image: ${file.originalname}] Image file uploaded. To analyze it, please describe what you see or ask specific questions about the image content.`;
+            return {
+                content,
+                ocr: true,
+                ocrConfidence: result.confidence,
+                dimensions: result.dimensions
+            };
+            
+        } catch (error) {
+            console.error('Image processing error:', error);
+            return {
+                content: null,
+                ocr: false,
+                ocrConfidence: null,
+                dimensions: null,
+                warning: `OCR failed: ${error.message}`
+            };
+        }
     }
-}
 
 formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
@@ -148,7 +210,7 @@ formatFileSize(bytes) {
             
             switch (extension) {
                 case '.pdf':
-                    return await this.extractPDF(buffer);
+                    return (await this.extractPDF(buffer)).content;
                     
                 case '.docx':
                 case '.doc':
@@ -183,16 +245,128 @@ formatFileSize(bytes) {
         }
     }
 
-    async extractPDF(buffer) {
+    async extractPDF(buffer, language = 'en') {
+        let pages = [];
+        
         try {
-            const data = await pdf(buffer);
-            return data.text;
+            pages = await this.extractPDFTextLayer(buffer);
+        } catch (error) {
+            console.error('PDF extraction error:', error.message);
+        }
+        
+        // Scanned pages have an empty or near-empty text layer
+        const sparsePages = pages.length > 0
+            ? pages.filter(p => p.text.length < this.pdfMinPageChars).map(p => p.page)
+            : null; // text layer unreadable: rasterize every page
+        
+        if (sparsePages && sparsePages.length === 0) {
+            return {
+                content: this.joinPDFPages(pages),
+                pages,
+                ocr: false,
+                ocrConfidence: null
+            };
+        }
+        
+        try {
+            const ocrPages = await this.ocrPDFPages(buffer, sparsePages, language);
+            
+            for (const ocrPage of ocrPages) {
+                const existing = pages.find(p => p.page === ocrPage.page);
+                if (existing) {
+                    Object.assign(existing, ocrPage);
+                } else {
+                    pages.push(ocrPage);
+                }
+            }
+            pages.sort((a, b) => a.page - b.page);
+            
+            const recognised = ocrPages.filter(p => p.text);
+            const ocrConfidence = recognised.length > 0
+                ? Math.round(recognised.reduce((sum, p) => sum + p.confidence, 0) / recognised.length)
+                : 0;
+            
+            console.log(`🖨️ OCR'd ${ocrPages.length} scanned PDF page(s) (${ocrConfidence}% avg confidence)`);
+            
+            return this.buildPDFResult(pages, recognised.length > 0, ocrConfidence);
+            
         } catch (error) {
-            console.error('PDF extraction error:', error);
-            return '[PDF] Unable to extract text content. The PDF may be scanned or encrypted.';
+            console.error('PDF OCR error:', error.message);
+            return this.buildPDFResult(pages, false, null);
         }
     }
 
+    // Read the embedded text layer page by page
+    async extractPDFTextLayer(buffer) {
+        const pages = [];
+        
+        await pdf(buffer, {
+            pagerender: (pageData) => pageData.getTextContent().then(textContent => {
+                let lastY, text = '';
+                for (const item of textContent.items) {
+                    text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+                    lastY = item.transform[5];
+                }
+                
+                pages.push({
+                    page: pageData.pageIndex + 1,
+                    text: text.trim(),
+                    ocr: false
+                });
+                return text;
+            })
+        });
+        
+        return pages;
+    }
+
+    // Rasterize the given pages (or all pages) and OCR them
+    async ocrPDFPages(buffer, pageNumbers, language = 'en') {
+        let numbers = pageNumbers;
+        if (numbers && numbers.length > this.pdfMaxOcrPages) {
+            console.log(`⚠️ Limiting PDF OCR to the first ${this.pdfMaxOcrPages} of ${numbers.length} scanned pages`);
+            numbers = numbers.slice(0, this.pdfMaxOcrPages);
+        }
+        
+        const images = await this.pdfRasterizer.renderPages(buffer, numbers, this.pdfMaxOcrPages);
+        const results = [];
+        
+        for (const { page, image } of images) {
+            const result = await this.ocr.extractText(image, language);
+            results.push({
+                page,
+                text: result.text,
+                ocr: true,
+                confidence: result.confidence
+            });
+        }
+        
+        return results;
+    }
+
+    buildPDFResult(pages, ocr, ocrConfidence) {
+        const content = this.joinPDFPages(pages);
+        
+        if (!content) {
+            return {
+                content: null,
+                pages,
+                ocr: false,
+                ocrConfidence: null,
+                warning: 'No text could be extracted from this PDF. It may be encrypted or contain only images.'
+            };
+        }
+        
+        return { content, pages, ocr, ocrConfidence };
+    }
+
+    joinPDFPages(pages) {
+        return pages
+            .filter(p => p.text)
+            .map(p => `[Page ${p.page}]\n${p.text}`)
+            .join('\n\n');
+    }
+
     async extractDOCX(buffer) {
         try {
             const result = await mammoth.extractRawText({ buffer: buffer });
@@ -227,6 +401,10 @@ formatFileSize(bytes) {
         return this.supportedTypes[mimeType] || 'unknown';
     }
 
+    getMimeType(filename) {
+        return this.extensionTypes[path.extname(filename).toLowerCase()] || null;
+    }
+
     async cleanupOldFiles(days = 7) {
         try {
             const files = await fs.readdir(this.uploadsDir);
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Dependency-free embeddings built by hashing words and character trigrams into a
+// fixed-size vector. Much weaker than a neural model, but works offline.
+class HashingEmbeddings {
+    constructor(options = {}) {
+        this.dimensions = options.dimensions || 512;
+        this.model = `hashing-${this.dimensions}`;
+    }
+
+    tokenize(text) {
+        // \p{L}/\p{N} keep Devanagari, Arabic and Telugu words intact
+        return String(text || '')
+            .toLowerCase()
+            .match(/[\p{L}\p{N}\p{M}]+/gu) || [];
+    }
+
+    hash(feature) {
+        const digest = crypto.createHash('md5').update(feature).digest();
+        return {
+            index: digest.readUInt32LE(0) % this.dimensions,
+            sign: digest[4] & 1 ? 1 : -1
+        };
+    }
+
+    embed(text) {
+        const vector = new Array(this.dimensions).fill(0);
+
+        for (const token of this.tokenize(text)) {
+            const features = [`w:${token}`];
+            const padded = `^${token}$`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                features.push(`c:${padded.slice(i, i + 3)}`);
+            }
+
+            for (const feature of features) {
+                const { index, sign } = this.hash(feature);
+                // Whole words weigh more than their trigrams
+                vector[index] += sign * (feature.startsWith('w:') ? 2 : 1);
+            }
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        return norm > 0 ? vector.map(v => v / norm) : vector;
+    }
+
+    async embedDocuments(texts) {
+        return texts.map(text => this.embed(text));
+    }
+
+    async embedQuery(text) {
+        return this.embed(text);
+    }
+}
+
+module.exports = { HashingEmbeddings };
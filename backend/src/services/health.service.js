@@ -0,0 +1,181 @@
+const { sameModel } = require('./llm-provider.service');
+
+const OLLAMA_PULL_HINT = model => `Run "ollama pull ${model}" on the Ollama host`;
+
+// Liveness says the process is up; readiness actively probes the LLM, the embedding
+// model and the vector store, timing each check. Results are cached for a few seconds
+// so frequent polling doesn't hammer Ollama or Chroma.
+class HealthService {
+    constructor(ahadAI, options = {}) {
+        this.ahadAI = ahadAI;
+        this.timeout = options.timeout || 3000;
+        this.cacheMs = options.cacheMs ?? 5000;
+        this.chromaUrl = options.chromaUrl || process.env.CHROMA_URL || 'http://localhost:8000';
+        this.startedAt = Date.now();
+        this.cached = null;
+        this.pending = null;
+    }
+
+    liveness() {
+        return {
+            status: 'alive',
+            uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+            memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024)
+        };
+    }
+
+    async readiness({ refresh = false } = {}) {
+        if (!refresh && this.cached && Date.now() - this.cached.checkedAt < this.cacheMs) {
+            return this.cached.result;
+        }
+
+        // Concurrent callers share one round of probes
+        if (!this.pending) {
+            this.pending = this.runChecks()
+                .then(result => {
+                    this.cached = { result, checkedAt: Date.now() };
+                    return result;
+                })
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+        return this.pending;
+    }
+
+    async runChecks() {
+        const [llm, embeddings, vectorStore] = await Promise.all([
+            this.measure(() => this.checkLLM()),
+            this.measure(() => this.checkEmbeddings()),
+            this.measure(() => this.checkVectorStore())
+        ]);
+
+        return {
+            status: this.overallStatus({ llm, embeddings, vectorStore }),
+            initialized: this.ahadAI.isReady,
+            checks: { llm, embeddings, vectorStore },
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    // Answers need the model and the vector store; without the embedding model retrieval
+    // falls back to weaker matching, so the service still works in a degraded mode
+    overallStatus(checks) {
+        if (!this.ahadAI.isReady) return 'starting';
+        if (checks.llm.status !== 'up' || checks.vectorStore.status !== 'up') return 'unavailable';
+        if (checks.embeddings.status !== 'up') return 'degraded';
+        return 'ready';
+    }
+
+    async measure(check) {
+        const startedAt = Date.now();
+
+        try {
+            const result = await Promise.race([
+                check(),
+                new Promise((_, reject) => setTimeout(() => reject(new Error(`timed out after ${this.timeout}ms`)), this.timeout).unref())
+            ]);
+            return { ...result, latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'down', error: error.message, latencyMs: Date.now() - startedAt };
+        }
+    }
+
+    async checkLLM() {
+        const registry = this.ahadAI.llmProviders;
+        const provider = registry.defaultProvider;
+        const model = registry.resolveModel(provider);
+        const circuit = registry.getCircuitStatus()[provider] || null;
+
+        let installed;
+        try {
+            installed = await registry.listModels(provider, { refresh: true });
+        } catch (error) {
+            return { status: 'down', provider, model, error: error.message, ...(circuit && { circuit: circuit.state }) };
+        }
+        const available = installed.some(m => sameModel(m.name, model));
+
+        return {
+            status: available ? 'up' : 'model_missing',
+            provider,
+            model,
+            installedModels: installed.map(m => m.name),
+            ...(circuit && { circuit: circuit.state }),
+            ...(!available && {
+                error: `Model "${model}" is not available on the ${provider} server`,
+                ...(provider === 'ollama' && { hint: OLLAMA_PULL_HINT(model) })
+            })
+        };
+    }
+
+    // Embeds a probe string with the model the active vector store uses
+    async checkEmbeddings() {
+        const { vectorStore, vectorStoreType, chromaManager } = this.ahadAI;
+        const embeddings = vectorStoreType === 'local' && vectorStore ? vectorStore.embeddings : this.ahadAI.embeddings;
+        const model = vectorStoreType === 'local' && vectorStore
+            ? vectorStore.embeddingModel
+            : chromaManager ? chromaManager.embeddingModel : process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
+
+        if (!embeddings) {
+            return { status: 'down', model, error: 'Embeddings are not initialized' };
+        }
+
+        // Ollama retries embedding calls for a missing model, so ask which models are pulled first
+        const ollamaModel = model.startsWith('hashing') ? null : model.replace(/^ollama:/, '');
+        if (ollamaModel) {
+            const installed = await this.ahadAI.llmProviders.listModels('ollama', { refresh: true });
+            if (!installed.some(m => sameModel(m.name, ollamaModel))) {
+                return {
+                    status: 'model_missing',
+                    model,
+                    error: `Embedding model "${ollamaModel}" is not pulled`,
+                    hint: OLLAMA_PULL_HINT(ollamaModel)
+                };
+            }
+        }
+
+        try {
+            const vector = await embeddings.embedQuery('health check');
+            // The offline hashing embeddings are a stand-in for a missing Ollama model
+            const offline = model.startsWith('hashing');
+            return {
+                status: offline ? 'degraded' : 'up',
+                model,
+                dimension: vector.length,
+                ...(offline && { error: 'Using offline hashing embeddings' })
+            };
+        } catch (error) {
+            return { status: 'down', model, error: error.message };
+        }
+    }
+
+    async checkVectorStore() {
+        const { vectorStore, vectorStoreType, chromaManager } = this.ahadAI;
+
+        if (!vectorStore) {
+            return {
+                status: 'down',
+                error: chromaManager && chromaManager.migrationRequired
+                    ? 'ChromaDB collection needs re-embedding (POST /api/knowledge/migrate)'
+                    : 'No vector store is connected'
+            };
+        }
+
+        if (vectorStoreType === 'local') {
+            return { status: 'up', type: 'local', chunkCount: vectorStore.size };
+        }
+
+        const response = await fetch(`${this.chromaUrl}/api/v2/heartbeat`, { signal: AbortSignal.timeout(this.timeout) });
+        if (!response.ok) {
+            return { status: 'down', type: 'chroma', error: `ChromaDB returned HTTP ${response.status}` };
+        }
+
+        return {
+            status: 'up',
+            type: 'chroma',
+            collection: chromaManager ? chromaManager.collectionName : null
+        };
+    }
+}
+
+module.exports = { HealthService };
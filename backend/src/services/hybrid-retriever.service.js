@@ -0,0 +1,161 @@
+const natural = require('natural');
+const crypto = require('crypto');
+
+// Combines BM25 keyword scoring with vector similarity using reciprocal rank fusion
+class HybridRetriever {
+    constructor(options = {}) {
+        this.topK = options.topK || 4;
+        this.similarityThreshold = options.similarityThreshold ?? 0.7;
+        // BM25 is unbounded, so keyword hits get their own absolute cutoff; about one
+        // matched query term that isn't in most chunks
+        this.minLexicalScore = options.minLexicalScore ?? 1.0;
+
+        // BM25 parameters and the RRF damping constant (60 is the value from the original paper)
+        this.k1 = options.k1 || 1.5;
+        this.b = options.b ?? 0.75;
+        this.rrfK = options.rrfK || 60;
+
+        // Each channel fetches more candidates than needed so fusion has something to rerank
+        this.candidateMultiplier = options.candidateMultiplier || 3;
+
+        this.stopwords = new Set(natural.stopwords);
+        this.index = null;
+        this.indexKey = null;
+    }
+
+    tokenize(text) {
+        // \p{L}/\p{N} keep Devanagari, Arabic and Telugu words intact
+        const tokens = String(text || '').toLowerCase().match(/[\p{L}\p{N}\p{M}]+/gu) || [];
+
+        return tokens
+            .filter(token => !this.stopwords.has(token))
+            // Only Latin-script words go through the (English) Porter stemmer
+            .map(token => /^[a-z]+$/.test(token) ? natural.PorterStemmer.stem(token) : token);
+    }
+
+    // (Re)build the BM25 index when the chunk list has changed since the last query
+    getIndex(chunks) {
+        const key = `${chunks.length}:${chunks[0]?.id}:${chunks[chunks.length - 1]?.id}`;
+        if (this.index && this.indexKey === key) {
+            return this.index;
+        }
+
+        const tfidf = new natural.TfIdf();
+        const lengths = [];
+
+        chunks.forEach(chunk => {
+            const tokens = this.tokenize(chunk.content);
+            tfidf.addDocument(tokens);
+            lengths.push(tokens.length);
+        });
+
+        this.index = {
+            tfidf,
+            chunks,
+            lengths,
+            averageLength: lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1)
+        };
+        this.indexKey = key;
+        return this.index;
+    }
+
+    // Chunks were removed or replaced in place, so the next query rebuilds the index
+    invalidate() {
+        this.index = null;
+        this.indexKey = null;
+    }
+
+    // BM25 over the chunks, using natural's TF-IDF term counts and idf
+    lexicalSearch(query, chunks, limit, filter = () => true) {
+        const terms = [...new Set(this.tokenize(query))];
+        if (terms.length === 0 || chunks.length === 0) return [];
+
+        const { tfidf, lengths, averageLength } = this.getIndex(chunks);
+        const results = [];
+
+        chunks.forEach((chunk, i) => {
+            if (!filter(chunk)) return;
+
+            const document = tfidf.documents[i];
+            let score = 0;
+
+            for (const term of terms) {
+                const frequency = document[term] || 0;
+                if (frequency === 0) continue;
+
+                const norm = this.k1 * (1 - this.b + this.b * (lengths[i] / (averageLength || 1)));
+                score += tfidf.idf(term) * (frequency * (this.k1 + 1)) / (frequency + norm);
+            }
+
+            if (score > 0) {
+                results.push({ chunk, score });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    // Vector hits from ChromaDB may not be in local knowledge, so identify them by metadata or content
+    getDocumentId(doc) {
+        const { documentId, chunkIndex } = doc.metadata || {};
+        if (documentId !== undefined && chunkIndex !== undefined) {
+            return `${documentId}:${chunkIndex}`;
+        }
+        return crypto.createHash('sha1').update(doc.pageContent || doc.content || '').digest('hex');
+    }
+
+    // lexical: [{ chunk, score }], vector: [{ doc, similarity }]
+    fuse(lexical, vector, options = {}) {
+        const topK = options.topK || this.topK;
+        const threshold = options.similarityThreshold ?? this.similarityThreshold;
+        const minLexicalScore = options.minLexicalScore ?? this.minLexicalScore;
+        const candidates = new Map();
+
+        const getCandidate = (id, content, metadata) => {
+            if (!candidates.has(id)) {
+                candidates.set(id, {
+                    id,
+                    content,
+                    metadata,
+                    rrf: 0,
+                    lexicalScore: null,
+                    vectorScore: null,
+                    channels: []
+                });
+            }
+            return candidates.get(id);
+        };
+
+        // BM25 is unbounded, so normalise against the best lexical hit
+        const bestLexical = lexical[0]?.score || 1;
+        lexical.forEach(({ chunk, score }, rank) => {
+            const candidate = getCandidate(chunk.id || this.getDocumentId(chunk), chunk.content, chunk.metadata);
+            candidate.rrf += 1 / (this.rrfK + rank + 1);
+            candidate.lexicalScore = Number((score / bestLexical).toFixed(4));
+            candidate.bm25 = Number(score.toFixed(4));
+            candidate.channels.push('lexical');
+        });
+
+        vector.forEach(({ doc, similarity }, rank) => {
+            const candidate = getCandidate(this.getDocumentId(doc), doc.pageContent, doc.metadata);
+            candidate.rrf += 1 / (this.rrfK + rank + 1);
+            candidate.vectorScore = Number(similarity.toFixed(4));
+            candidate.channels.push('vector');
+        });
+
+        // Keep a candidate if either channel scored it high enough: cosine similarity against the
+        // threshold, raw BM25 against minLexicalScore (lexicalScore is relative to the best hit,
+        // which always scores 1)
+        const maxRRF = 2 / (this.rrfK + 1);
+        return Array.from(candidates.values())
+            .filter(c => (c.bm25 ?? 0) >= minLexicalScore || (c.vectorScore ?? 0) >= threshold)
+            .sort((a, b) => b.rrf - a.rrf)
+            .slice(0, topK)
+            .map(({ rrf, ...candidate }) => ({
+                ...candidate,
+                score: Number((rrf / maxRRF).toFixed(4))
+            }));
+    }
+}
+
+module.exports = { HybridRetriever };
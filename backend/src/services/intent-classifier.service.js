@@ -0,0 +1,259 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const natural = require('natural');
+require('dotenv').config();
+
+const config = require('../config/langchain.config');
+const { normalizeArabic } = require('./sentiment.service');
+
+const DATASET_PATH = path.resolve(__dirname, '../data/intents/intents.json');
+
+// Returned when the classifier has nothing to go on
+const FALLBACK_INTENT = 'general';
+
+const LATIN = /^[a-z']+$/;
+
+// English function words ("what", "is", "this") say little about the intent
+const STOPWORDS = new Set(natural.stopwords);
+
+// natural's default smoothing (1) scores a word never seen with an intent almost like one
+// seen once, which flattens confidences for short messages such as "hi"
+const SMOOTHING = 0.1;
+
+// Classifies messages into intents with natural's naive Bayes classifier. Training data is
+// the multilingual dataset in src/data/intents plus examples submitted as corrections
+// (stored with the trained model in config.intents.directory). The model is retrained
+// when either changes, or on demand with `npm run train-intents`.
+class IntentClassifier {
+    constructor(options = {}) {
+        this.minConfidence = options.minConfidence ?? 0.5;
+        this.alternatives = options.alternatives ?? 3;
+        this.directory = path.resolve(__dirname, '../..', options.directory || './data/intents');
+        this.feedbackPath = path.join(this.directory, 'feedback.json');
+        this.modelPath = path.join(this.directory, 'model.json');
+
+        this.classifier = null;
+        this.vocabulary = new Set();
+        this.intents = [];
+        this.info = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Restores the saved model if it was trained on the current examples, otherwise retrains
+    async initialize() {
+        await fs.ensureDir(this.directory);
+        const examples = await this.loadExamples();
+        const datasetHash = this.hashExamples(examples);
+
+        if (await fs.pathExists(this.modelPath)) {
+            try {
+                const saved = await fs.readJson(this.modelPath);
+                if (saved.datasetHash === datasetHash) {
+                    this.load(saved);
+                    console.log(`🧭 Intent model restored (${saved.exampleCount} examples, ${saved.intents.length} intents)`);
+                    return this.info;
+                }
+                console.log('🧭 Intent examples changed since the last training, retraining');
+            } catch (error) {
+                console.error('⚠️ Unreadable intent model, retraining:', error.message);
+            }
+        }
+
+        return this.train(examples);
+    }
+
+    async loadExamples() {
+        const dataset = await fs.readJson(DATASET_PATH);
+        const examples = [];
+
+        for (const [intent, languages] of Object.entries(dataset)) {
+            for (const [language, texts] of Object.entries(languages)) {
+                texts.forEach(text => examples.push({ text, intent, language, source: 'dataset' }));
+            }
+        }
+
+        const feedback = await this.loadFeedback();
+        feedback.forEach(({ text, intent, language }) => examples.push({ text, intent, language, source: 'feedback' }));
+
+        return examples;
+    }
+
+    async loadFeedback() {
+        if (!(await fs.pathExists(this.feedbackPath))) return [];
+        return fs.readJson(this.feedbackPath);
+    }
+
+    hashExamples(examples) {
+        const content = examples.map(({ text, intent }) => `${intent}\t${text}`).join('\n');
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    // Words are lowercased and stemmed (English) or normalized (Arabic); numbers and
+    // arithmetic operators become shared tokens so "12 * 7" and "240 का 15%" look alike.
+    // Stopwords are dropped unless the message consists of nothing else ("what can you do").
+    tokenize(text) {
+        const normalized = normalizeArabic(String(text || '').normalize('NFC').toLowerCase());
+        const words = normalized.match(/[\p{L}\p{M}']+|\p{N}+(?:[.,]\p{N}+)?|[+\-*/×÷%^=]/gu) || [];
+        const content = words.filter(word => !STOPWORDS.has(word));
+        const tokens = content.length > 0 ? content : words;
+
+        return tokens.map(token => {
+            if (/^\p{N}/u.test(token)) return '<num>';
+            if (/^[+\-*/×÷%^=]$/.test(token)) return '<op>';
+            return LATIN.test(token) ? natural.PorterStemmer.stem(token) : token;
+        });
+    }
+
+    buildClassifier(examples) {
+        const classifier = new natural.BayesClassifier(null, SMOOTHING);
+        examples.forEach(({ text, intent }) => classifier.addDocument(this.tokenize(text), intent));
+        classifier.train();
+        return classifier;
+    }
+
+    async train(examples = null) {
+        const startedAt = Date.now();
+        examples = examples || await this.loadExamples();
+
+        const classifier = this.buildClassifier(examples);
+        const intents = [...new Set(examples.map(example => example.intent))];
+        const saved = {
+            datasetHash: this.hashExamples(examples),
+            trainedAt: new Date().toISOString(),
+            exampleCount: examples.length,
+            feedbackCount: examples.filter(example => example.source === 'feedback').length,
+            intents,
+            vocabulary: [...new Set(examples.flatMap(example => this.tokenize(example.text)))],
+            classifier: JSON.parse(JSON.stringify(classifier))
+        };
+
+        this.load(saved);
+        await fs.ensureDir(this.directory);
+        await fs.writeJson(this.modelPath, saved);
+
+        console.log(`🧭 Intent model trained on ${saved.exampleCount} examples (${intents.length} intents) in ${Date.now() - startedAt}ms`);
+        return this.info;
+    }
+
+    load(saved) {
+        this.classifier = natural.BayesClassifier.restore(saved.classifier);
+        this.vocabulary = new Set(saved.vocabulary);
+        this.intents = saved.intents;
+        this.info = {
+            trainedAt: saved.trainedAt,
+            exampleCount: saved.exampleCount,
+            feedbackCount: saved.feedbackCount,
+            intents: saved.intents
+        };
+    }
+
+    // Returns { label, confidence, alternatives } where confidences are normalized over all intents
+    classify(text) {
+        const tokens = this.tokenize(text);
+        if (!this.classifier || !tokens.some(token => this.vocabulary.has(token))) {
+            return { label: FALLBACK_INTENT, confidence: 0, alternatives: [] };
+        }
+
+        const classifications = this.classifier.getClassifications(tokens);
+        const total = classifications.reduce((sum, { value }) => sum + value, 0) || 1;
+        const ranked = classifications.map(({ label, value }) => ({ label, confidence: round(value / total) }));
+
+        // A weak best guess is reported as general (so no tool runs), with the guesses as alternatives
+        const [best] = ranked;
+        const top = best.confidence >= this.minConfidence
+            ? best
+            : ranked.find(entry => entry.label === FALLBACK_INTENT) || { label: FALLBACK_INTENT, confidence: 0 };
+
+        return {
+            label: top.label,
+            confidence: top.confidence,
+            alternatives: ranked
+                .filter(entry => entry.label !== top.label && entry.confidence > 0)
+                .slice(0, this.alternatives)
+        };
+    }
+
+    // Stores a corrected example; it is used from the next training on
+    async addFeedback({ text, intent, language = null, predicted = null, userId = null }) {
+        const write = this.writeQueue.catch(() => {}).then(async () => {
+            const feedback = await this.loadFeedback();
+            const existing = feedback.find(entry => entry.text === text && entry.intent === intent);
+            if (existing) return { entry: existing, duplicate: true };
+
+            const entry = {
+                text,
+                intent,
+                language,
+                predicted,
+                userId,
+                submittedAt: new Date().toISOString()
+            };
+            feedback.push(entry);
+
+            const tempPath = `${this.feedbackPath}.tmp`;
+            await fs.writeJson(tempPath, feedback, { spaces: 2 });
+            await fs.move(tempPath, this.feedbackPath, { overwrite: true });
+            return { entry, duplicate: false };
+        });
+
+        this.writeQueue = write;
+        return write;
+    }
+
+    // k-fold cross-validated accuracy, so the effect of new examples can be measured
+    async evaluate(folds = 5) {
+        const examples = await this.loadExamples();
+        let correct = 0;
+
+        for (let fold = 0; fold < folds; fold++) {
+            const training = examples.filter((_, index) => index % folds !== fold);
+            const testing = examples.filter((_, index) => index % folds === fold);
+            const classifier = this.buildClassifier(training);
+
+            correct += testing.filter(({ text, intent }) => classifier.classify(this.tokenize(text)) === intent).length;
+        }
+
+        return { accuracy: round(correct / examples.length), exampleCount: examples.length, folds };
+    }
+
+    getStatus() {
+        return {
+            ready: !!this.classifier,
+            minConfidence: this.minConfidence,
+            ...this.info
+        };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log('Usage: npm run train-intents -- [--evaluate]');
+        process.exit(0);
+    }
+
+    const classifier = new IntentClassifier(config.intents);
+
+    (async () => {
+        await classifier.train();
+
+        if (args.includes('--evaluate')) {
+            const { accuracy, exampleCount, folds } = await classifier.evaluate();
+            console.log(`📊 ${folds}-fold accuracy: ${(accuracy * 100).toFixed(0)}% over ${exampleCount} examples`);
+        }
+
+        console.log('ℹ️ A running server picks up the new model after a restart or POST /api/intents/retrain');
+        process.exit(0);
+    })().catch(error => {
+        console.error('❌ Intent training failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { IntentClassifier };
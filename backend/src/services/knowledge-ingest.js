@@ -0,0 +1,271 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const config = require('../config/langchain.config');
+const { AhadAIService } = require('./ahad-ai.service');
+const { FileProcessor } = require('./file-processor.service');
+
+// Bulk-ingests a directory into the knowledge base. Files are tracked by relative path and
+// content hash, so re-running only processes new or changed files and drops deleted ones.
+class KnowledgeIngestor {
+    constructor(options = {}) {
+        // Directories given on the command line are relative to the caller, the default to backend/
+        this.directory = options.directory
+            ? path.resolve(options.directory)
+            : path.resolve(__dirname, '../..', config.knowledge.baseDirectory);
+        this.language = options.language || 'en';
+        this.force = !!options.force;
+        this.dryRun = !!options.dryRun;
+
+        this.ahadAI = options.ahadAI || new AhadAIService();
+        this.fileProcessor = options.fileProcessor || new FileProcessor();
+
+        this.summary = {
+            scanned: 0,
+            added: 0,
+            updated: 0,
+            unchanged: 0,
+            removed: 0,
+            unsupported: 0,
+            failed: 0,
+            chunks: 0,
+            errors: []
+        };
+    }
+
+    // Stable ID per file so the same path always maps to the same document
+    getDocumentId(relativePath) {
+        const hash = crypto.createHash('sha1').update(relativePath).digest('hex').slice(0, 16);
+        return `kb-${hash}`;
+    }
+
+    async walk(directory) {
+        const files = [];
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.walk(fullPath));
+            } else if (entry.isFile()) {
+                files.push(fullPath);
+            }
+        }
+
+        return files;
+    }
+
+    async run() {
+        const startedAt = Date.now();
+
+        if (!(await fs.pathExists(this.directory))) {
+            throw new Error(`Knowledge directory not found: ${this.directory}`);
+        }
+
+        console.log(`📂 Ingesting knowledge from ${this.directory}${this.dryRun ? ' (dry run)' : ''}`);
+        await this.ahadAI.initialize();
+        await this.sync();
+
+        this.summary.durationMs = Date.now() - startedAt;
+        this.printSummary();
+        return this.summary;
+    }
+
+    // Bring the knowledge base in line with the directory (the AI service must be initialized)
+    async sync() {
+        const files = await this.walk(this.directory);
+        const seen = new Set();
+
+        for (const filePath of files) {
+            const relativePath = this.getRelativePath(filePath);
+            seen.add(this.getDocumentId(relativePath));
+            await this.ingestFile(filePath, relativePath);
+        }
+
+        await this.removeDeleted(seen);
+        return this.summary;
+    }
+
+    getRelativePath(filePath) {
+        return path.relative(this.directory, filePath).split(path.sep).join('/');
+    }
+
+    // Returns what happened to the file: added, updated, unchanged, unsupported or failed
+    async ingestFile(filePath, relativePath = this.getRelativePath(filePath)) {
+        this.summary.scanned++;
+
+        const mimetype = this.fileProcessor.getMimeType(filePath);
+        if (!mimetype) {
+            this.summary.unsupported++;
+            console.log(`⏭️  Unsupported file type: ${relativePath}`);
+            return { status: 'unsupported' };
+        }
+
+        try {
+            const buffer = await fs.readFile(filePath);
+            const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+            const documentId = this.getDocumentId(relativePath);
+            const existing = this.ahadAI.knowledgeStore.get(documentId);
+
+            const status = existing ? 'updated' : 'added';
+
+            if (existing && existing.metadata.contentHash === contentHash && !this.force) {
+                this.summary.unchanged++;
+                return { status: 'unchanged' };
+            }
+
+            if (this.dryRun) {
+                this.summary[status]++;
+                console.log(`📝 Would ${existing ? 'update' : 'add'}: ${relativePath}`);
+                return { status };
+            }
+
+            const result = await this.fileProcessor.processFile({
+                originalname: path.basename(filePath),
+                mimetype,
+                buffer,
+                size: buffer.length
+            }, { language: this.language, saveFile: false });
+
+            if (!result.content) {
+                throw new Error(result.warning || 'No text could be extracted');
+            }
+
+            // Replace rather than update so page metadata is rebuilt from the new file
+            if (existing) {
+                await this.ahadAI.deleteKnowledgeDocument(documentId);
+            }
+
+            const added = await this.ahadAI.addToKnowledgeBase(result.content, 'knowledge_base', {
+                fileId: documentId,
+                filename: result.filename,
+                type: result.type,
+                size: result.size,
+                language: this.language,
+                ocr: result.ocr,
+                root: this.directory,
+                relativePath,
+                contentHash
+            }, { pages: result.pages });
+
+            if (!added.success) {
+                throw new Error(added.error);
+            }
+
+            this.summary[status]++;
+            this.summary.chunks += added.chunkCount;
+            console.log(`✅ ${existing ? 'Updated' : 'Added'} ${relativePath} (${added.chunkCount} chunk(s))`);
+            return { status, chunkCount: added.chunkCount };
+
+        } catch (error) {
+            this.summary.failed++;
+            this.summary.errors.push({ file: relativePath, error: error.message });
+            console.error(`❌ Failed to ingest ${relativePath}:`, error.message);
+            return { status: 'failed', error: error.message };
+        }
+    }
+
+    // Drop the document for a file that was deleted from the directory
+    async removeFile(relativePath) {
+        const removed = await this.ahadAI.deleteKnowledgeDocument(this.getDocumentId(relativePath));
+        if (removed) {
+            this.summary.removed++;
+            console.log(`🗑️  Removed ${relativePath}`);
+        }
+        return { status: removed ? 'removed' : 'unchanged' };
+    }
+
+    // Documents previously ingested from this directory whose file no longer exists
+    async removeDeleted(seen) {
+        const stale = this.ahadAI.knowledgeStore.list().filter(doc =>
+            doc.source === 'knowledge_base' &&
+            doc.metadata.root === this.directory &&
+            !seen.has(doc.id)
+        );
+
+        for (const document of stale) {
+            if (!this.dryRun) {
+                await this.ahadAI.deleteKnowledgeDocument(document.id);
+            }
+            this.summary.removed++;
+            console.log(`🗑️  ${this.dryRun ? 'Would remove' : 'Removed'} ${document.metadata.relativePath}`);
+        }
+    }
+
+    printSummary() {
+        const s = this.summary;
+
+        console.log('\n📊 Ingestion summary');
+        console.log(`   Files scanned:   ${s.scanned}`);
+        console.log(`   Added:           ${s.added}`);
+        console.log(`   Updated:         ${s.updated}`);
+        console.log(`   Unchanged:       ${s.unchanged}`);
+        console.log(`   Removed:         ${s.removed}`);
+        console.log(`   Unsupported:     ${s.unsupported}`);
+        console.log(`   Failed:          ${s.failed}`);
+        console.log(`   Chunks indexed:  ${s.chunks}`);
+        console.log(`   Vector store:    ${this.ahadAI.vectorStoreType || 'none'}`);
+        console.log(`   Duration:        ${(s.durationMs / 1000).toFixed(1)}s`);
+
+        s.errors.forEach(({ file, error }) => console.log(`   ❌ ${file}: ${error}`));
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--dir':
+            case '-d':
+                options.directory = argv[++i];
+                break;
+            case '--language':
+            case '-l':
+                options.language = argv[++i];
+                break;
+            case '--force':
+                options.force = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                // A bare argument is the directory, e.g. `npm run ingest -- ./docs`
+                options.directory = argv[i];
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log('Usage: npm run ingest -- [directory] [--language en|hi|ar|te] [--force] [--dry-run]');
+        process.exit(0);
+    }
+
+    const ingestor = new KnowledgeIngestor(options);
+
+    ingestor.run()
+        .then(async summary => {
+            await ingestor.fileProcessor.ocr.terminate();
+            process.exit(summary.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('❌ Ingestion failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { KnowledgeIngestor };
@@ -0,0 +1,79 @@
+const path = require('path');
+const { JsonFileSessionBackend, MemorySessionBackend } = require('./session-store.service');
+
+// Source of truth for ingested documents (original text + metadata). Chunks in local
+// knowledge and the vector store are derived from it and can always be rebuilt.
+class KnowledgeStore {
+    constructor(backend) {
+        // The session backends persist any record with an `id`, one JSON file each
+        this.backend = backend;
+        this.documents = new Map();
+    }
+
+    async initialize() {
+        await this.backend.initialize();
+
+        const documents = await this.backend.loadAll();
+        for (const document of documents) {
+            if (document && document.id) {
+                this.documents.set(document.id, document);
+            }
+        }
+
+        return this.documents.size;
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    has(documentId) {
+        return this.documents.has(documentId);
+    }
+
+    get(documentId) {
+        return this.documents.get(documentId) || null;
+    }
+
+    list() {
+        return Array.from(this.documents.values());
+    }
+
+    async save(document) {
+        this.documents.set(document.id, document);
+
+        try {
+            await this.backend.save(document);
+        } catch (error) {
+            console.error(`❌ Failed to persist knowledge document ${document.id}:`, error.message);
+        }
+
+        return document;
+    }
+
+    async delete(documentId) {
+        const existed = this.documents.delete(documentId);
+        await this.backend.delete(documentId);
+        return existed;
+    }
+}
+
+function createKnowledgeStore(options = {}) {
+    const { store = 'json', directory = './data/knowledge' } = options;
+
+    switch (store) {
+        case 'memory':
+            return new KnowledgeStore(new MemorySessionBackend());
+
+        case 'json':
+            return new KnowledgeStore(new JsonFileSessionBackend(path.resolve(__dirname, '../..', directory)));
+
+        default:
+            throw new Error(`Unknown knowledge store: ${store}`);
+    }
+}
+
+module.exports = {
+    KnowledgeStore,
+    createKnowledgeStore
+};
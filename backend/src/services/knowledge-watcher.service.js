@@ -0,0 +1,124 @@
+const chokidar = require('chokidar');
+
+// Watches the knowledge base directory and re-ingests files shortly after they change.
+// Bursts of events for the same file (editors often write several times) are debounced,
+// and ingestion runs one file at a time through the shared KnowledgeIngestor.
+class KnowledgeWatcher {
+    constructor(ingestor, options = {}) {
+        this.ingestor = ingestor;
+        this.debounceMs = options.debounceMs || 2000;
+        this.maxErrors = options.maxErrors || 10;
+
+        this.watcher = null;
+        this.timers = new Map();
+        this.queue = Promise.resolve();
+        this.pending = 0;
+
+        this.status = {
+            enabled: true,
+            watching: false,
+            directory: ingestor.directory,
+            initialSyncComplete: false,
+            processing: false,
+            lastEventAt: null,
+            lastIngestAt: null,
+            counts: { added: 0, updated: 0, removed: 0, failed: 0 },
+            lastErrors: []
+        };
+    }
+
+    async start() {
+        // Catch up on anything that changed while the server was down
+        await this.enqueue(async () => {
+            await this.ingestor.sync();
+            this.status.initialSyncComplete = true;
+        }, 'initial sync');
+
+        this.watcher = chokidar.watch(this.ingestor.directory, {
+            ignoreInitial: true,
+            ignored: /(^|[\/\\])\../,
+            // Wait until large files have finished copying before reading them
+            awaitWriteFinish: { stabilityThreshold: 1000, pollInterval: 200 }
+        });
+
+        this.watcher
+            .on('add', filePath => this.schedule(filePath, 'change'))
+            .on('change', filePath => this.schedule(filePath, 'change'))
+            .on('unlink', filePath => this.schedule(filePath, 'unlink'))
+            .on('error', error => this.recordError('watcher', error));
+
+        await new Promise(resolve => this.watcher.once('ready', resolve));
+        this.status.watching = true;
+        console.log(`👀 Watching ${this.ingestor.directory} for knowledge changes`);
+    }
+
+    schedule(filePath, event) {
+        this.status.lastEventAt = new Date().toISOString();
+
+        clearTimeout(this.timers.get(filePath));
+        this.timers.set(filePath, setTimeout(() => {
+            this.timers.delete(filePath);
+            const relativePath = this.ingestor.getRelativePath(filePath);
+
+            this.enqueue(async () => {
+                const result = event === 'unlink'
+                    ? await this.ingestor.removeFile(relativePath)
+                    : await this.ingestor.ingestFile(filePath, relativePath);
+
+                if (this.status.counts[result.status] !== undefined) {
+                    this.status.counts[result.status]++;
+                }
+                if (result.status === 'failed') {
+                    this.recordError(relativePath, result.error);
+                }
+            }, relativePath);
+        }, this.debounceMs));
+    }
+
+    enqueue(task, label) {
+        this.pending++;
+
+        this.queue = this.queue.then(async () => {
+            this.status.processing = true;
+            try {
+                await task();
+                this.status.lastIngestAt = new Date().toISOString();
+            } catch (error) {
+                this.recordError(label, error);
+            } finally {
+                this.pending--;
+                this.status.processing = this.pending > 0;
+            }
+        });
+
+        return this.queue;
+    }
+
+    recordError(file, error) {
+        const message = error instanceof Error ? error.message : String(error);
+        console.error(`❌ Knowledge watcher error (${file}):`, message);
+
+        this.status.lastErrors.unshift({ file, error: message, at: new Date().toISOString() });
+        this.status.lastErrors = this.status.lastErrors.slice(0, this.maxErrors);
+    }
+
+    async stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+
+        if (this.watcher) {
+            await this.watcher.close();
+            this.watcher = null;
+        }
+        this.status.watching = false;
+    }
+
+    getStatus() {
+        return {
+            ...this.status,
+            queued: this.pending + this.timers.size
+        };
+    }
+}
+
+module.exports = { KnowledgeWatcher };
@@ -0,0 +1,107 @@
+const lexicon = require('../data/languages/romanized.json');
+
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'ar', 'te'];
+
+// Native scripts identify the language on their own (Urdu/Persian are not supported, so Arabic script is Arabic)
+const SCRIPTS = [
+    { script: 'devanagari', language: 'hi', pattern: /[\u0900-\u097F]/g },
+    { script: 'arabic', language: 'ar', pattern: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g },
+    { script: 'telugu', language: 'te', pattern: /[\u0C00-\u0C7F]/g }
+];
+
+// Latin text with little evidence is most likely English
+const PRIORS = { en: 0.55, hi: 0.15, ar: 0.15, te: 0.15 };
+
+// Arabizi writes Arabic sounds with digits: 3 (ain), 7 (haa), 2 (hamza), ...
+const ARABIZI_DIGITS = /[a-z][235679]|[235679][a-z]/;
+
+// Identifies English, Hindi, Arabic and Telugu. Native scripts are recognised from their
+// Unicode ranges; Latin text (English or romanized Hindi/Telugu/Arabic, e.g. Hinglish) is
+// scored word by word against small lexicons and turned into smoothed probabilities.
+class LanguageDetector {
+    constructor(options = {}) {
+        this.minConfidence = options.minConfidence ?? 0.6;
+        this.words = Object.fromEntries(Object.entries(lexicon.words).map(([language, words]) => [language, new Set(words)]));
+        this.suffixes = lexicon.suffixes;
+    }
+
+    // Returns { language, confidence, script, romanized, alternatives }, or null without any letters
+    detect(text) {
+        const letters = String(text || '').match(/\p{L}/gu) || [];
+        if (letters.length === 0) return null;
+
+        for (const { script, language, pattern } of SCRIPTS) {
+            const count = (String(text).match(pattern) || []).length;
+            const share = count / letters.length;
+
+            // Code-mixed text ("मेरा laptop slow है") still belongs to the native script
+            if (share >= 0.2) {
+                return {
+                    language,
+                    confidence: round(Math.min(0.99, 0.6 + 0.4 * share)),
+                    script,
+                    romanized: false,
+                    alternatives: []
+                };
+            }
+        }
+
+        return this.detectLatin(text);
+    }
+
+    detectLatin(text) {
+        const tokens = String(text).toLowerCase().match(/[a-z0-9']+/g) || [];
+        const evidence = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, 0]));
+
+        for (const token of tokens) {
+            for (const language of SUPPORTED_LANGUAGES) {
+                if (this.words[language].has(token)) {
+                    evidence[language] += 1;
+                } else if ((this.suffixes[language] || []).some(suffix => token.length > suffix.length + 1 && token.endsWith(suffix))) {
+                    evidence[language] += 0.5;
+                }
+            }
+            if (ARABIZI_DIGITS.test(token)) evidence.ar += 1;
+        }
+
+        // Additive smoothing towards the priors keeps short inputs from looking certain
+        const total = Object.values(evidence).reduce((sum, value) => sum + value, 0);
+        const ranked = SUPPORTED_LANGUAGES
+            .map(language => ({ language, confidence: round((evidence[language] + PRIORS[language]) / (total + 1)) }))
+            .sort((a, b) => b.confidence - a.confidence);
+
+        const [best, ...others] = ranked;
+        return {
+            language: best.language,
+            confidence: best.confidence,
+            script: 'latin',
+            romanized: best.language !== 'en',
+            alternatives: others.filter(alt => alt.confidence >= 0.1)
+        };
+    }
+
+    // The language to answer in: the requested one, or with 'auto' the detected one when
+    // detection is confident enough, else `fallback` (e.g. the session's last language)
+    resolve(text, requested = 'auto', fallback = 'en') {
+        const detection = this.detect(text);
+
+        if (requested && requested !== 'auto') {
+            return { language: requested, detection };
+        }
+
+        const confident = detection && detection.confidence >= this.minConfidence;
+        return {
+            language: confident ? detection.language : fallback,
+            detection
+        };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    LanguageDetector,
+    SUPPORTED_LANGUAGES
+};
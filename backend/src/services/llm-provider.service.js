@@ -0,0 +1,508 @@
+const { setTimeout: delay } = require('timers/promises');
+const { ChatOllama } = require('@langchain/community/chat_models/ollama');
+const { CircuitBreaker } = require('./circuit-breaker.service');
+
+// Chat models share the small surface the service uses from LangChain:
+// invoke(prompt, { signal }) → { content } and stream(prompt, { signal }) → async iterable of { content }.
+
+// Any server speaking the OpenAI chat completions API (llama.cpp, vLLM, LM Studio, ...)
+class OpenAICompatibleChatModel {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || 'http://localhost:8080/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || '';
+        this.model = options.model;
+        this.temperature = options.temperature;
+        this.maxTokens = options.maxTokens;
+    }
+
+    async request(prompt, stream, signal) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: this.temperature,
+                max_tokens: this.maxTokens,
+                stream
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            const error = new Error(`LLM server returned HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response;
+    }
+
+    async invoke(prompt, options = {}) {
+        const response = await this.request(prompt, false, options.signal);
+        const data = await response.json();
+        return { content: data.choices?.[0]?.message?.content || '' };
+    }
+
+    async *stream(prompt, options = {}) {
+        const response = await this.request(prompt, true, options.signal);
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        // Server-Sent Events: `data: {...}` lines, terminated by `data: [DONE]`
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).trim();
+                buffer = buffer.slice(newline + 1);
+
+                if (!line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') return;
+
+                const content = JSON.parse(data).choices?.[0]?.delta?.content;
+                if (content) yield { content };
+            }
+        }
+    }
+}
+
+// Deterministic answers without a model server, for tests and offline demos
+class MockChatModel {
+    constructor(options = {}) {
+        this.model = options.model || 'mock';
+        this.response = options.response || '';
+    }
+
+    respond(prompt) {
+        if (this.response) return this.response;
+
+        const question = (prompt.match(/USER QUERY: (.*)/) || prompt.match(/User asked in [^:]+: "(.*)"/) || [])[1]
+            || prompt.trim().split('\n')[0];
+        // Cite the first passage when the prompt has numbered context, so citations can be exercised
+        const citation = /^\[1\] /m.test(prompt) ? ' [1]' : '';
+
+        return `Mock response to: ${question.trim()}${citation}`;
+    }
+
+    async invoke(prompt) {
+        return { content: this.respond(prompt) };
+    }
+
+    async *stream(prompt, options = {}) {
+        for (const token of this.respond(prompt).split(/(?<= )/)) {
+            if (options.signal?.aborted) return;
+            yield { content: token };
+        }
+    }
+}
+
+class LLMTimeoutError extends Error {
+    constructor(provider, timeout) {
+        super(`${provider} LLM did not respond within ${timeout}ms`);
+        this.name = 'LLMTimeoutError';
+    }
+}
+
+// Rejects as soon as `signal` aborts, even when the model client ignores the signal
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason || new Error('Aborted'));
+        if (signal.aborted) return onAbort();
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        Promise.resolve(promise)
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// 4xx answers (bad model name, bad request) won't improve on retry and don't mean the server is down
+function isClientError(error) {
+    return error.status >= 400 && error.status < 500 && error.status !== 429;
+}
+
+// Wraps a chat model with the configured timeout, retries with exponential backoff and the
+// provider's circuit breaker, and records which provider/model answered
+class ChatProvider {
+    constructor(name, model, chatModel, options = {}) {
+        this.provider = name;
+        this.model = model;
+        this.chatModel = chatModel;
+        this.timeout = options.timeout || 0;
+        this.retries = options.retries || 0;
+        this.retryDelay = options.retryDelay || 1000;
+        this.breaker = options.breaker || null;
+    }
+
+    // The caller's signal combined with this attempt's timeout
+    createSignal(callerSignal) {
+        if (!this.timeout) return { signal: callerSignal || undefined, timeoutSignal: null };
+
+        const timeoutSignal = AbortSignal.timeout(this.timeout);
+        return {
+            signal: callerSignal ? AbortSignal.any([callerSignal, timeoutSignal]) : timeoutSignal,
+            timeoutSignal
+        };
+    }
+
+    // Like createSignal(), but for streams: the timeout covers the wait for the first chunk and
+    // is restarted by reset() after each one, so only a stalled stream is aborted
+    createIdleSignal(callerSignal) {
+        if (!this.timeout) {
+            return { signal: callerSignal || undefined, timeoutSignal: null, reset: () => {}, clear: () => {} };
+        }
+
+        const controller = new AbortController();
+        let timer = null;
+        const clear = () => clearTimeout(timer);
+        const reset = () => {
+            clear();
+            timer = setTimeout(() => controller.abort(new DOMException('The stream stalled', 'TimeoutError')), this.timeout);
+        };
+        reset();
+
+        return {
+            signal: callerSignal ? AbortSignal.any([callerSignal, controller.signal]) : controller.signal,
+            timeoutSignal: controller.signal,
+            reset,
+            clear
+        };
+    }
+
+    normalizeError(error, timeoutSignal, callerSignal) {
+        if (!callerSignal?.aborted && timeoutSignal?.aborted) {
+            return new LLMTimeoutError(this.provider, this.timeout);
+        }
+        return error;
+    }
+
+    canRetry(error, attempt, callerSignal) {
+        return !callerSignal?.aborted && attempt < this.retries && !isClientError(error);
+    }
+
+    // A call counts against the breaker once, after its retries; cancellations and 4xx answers don't count
+    recordFailure(error, callerSignal) {
+        if (!this.breaker) return;
+
+        if (callerSignal?.aborted || isClientError(error)) {
+            this.breaker.releaseTrial();
+        } else {
+            this.breaker.recordFailure(error);
+        }
+    }
+
+    async backoff(attempt, error, callerSignal) {
+        const wait = this.retryDelay * 2 ** attempt;
+        console.warn(`🔁 ${this.provider} LLM attempt ${attempt + 1} failed (${error.message}), retrying in ${wait}ms`);
+        await delay(wait, undefined, callerSignal ? { signal: callerSignal } : undefined);
+    }
+
+    async invoke(prompt, options = {}) {
+        this.breaker?.beforeRequest();
+
+        for (let attempt = 0; ; attempt++) {
+            const { signal, timeoutSignal } = this.createSignal(options.signal);
+
+            try {
+                const response = await untilAborted(this.chatModel.invoke(prompt, { ...options, signal }), signal);
+                this.breaker?.recordSuccess();
+                return response;
+            } catch (error) {
+                const failure = this.normalizeError(error, timeoutSignal, options.signal);
+                if (!this.canRetry(failure, attempt, options.signal)) {
+                    this.recordFailure(failure, options.signal);
+                    throw failure;
+                }
+                await this.backoff(attempt, failure, options.signal).catch(abort => {
+                    this.recordFailure(abort, options.signal);
+                    throw abort;
+                });
+            }
+        }
+    }
+
+    // Failed attempts are retried only until the first token has been passed on
+    async *stream(prompt, options = {}) {
+        this.breaker?.beforeRequest();
+        let finished = false;
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                const { signal, timeoutSignal, reset, clear } = this.createIdleSignal(options.signal);
+                let iterator = null;
+                let started = false;
+
+                try {
+                    const stream = await untilAborted(this.chatModel.stream(prompt, { ...options, signal }), signal);
+                    iterator = stream[Symbol.asyncIterator]();
+
+                    while (true) {
+                        const { value, done } = await untilAborted(iterator.next(), signal);
+                        if (done) break;
+                        started = true;
+                        // Time spent by the consumer doesn't count as the model stalling
+                        clear();
+                        yield value;
+                        reset();
+                    }
+
+                    finished = true;
+                    this.breaker?.recordSuccess();
+                    return;
+                } catch (error) {
+                    // Don't wait for a stalled model to acknowledge the abort
+                    iterator?.return?.().catch(() => {});
+
+                    const failure = this.normalizeError(error, timeoutSignal, options.signal);
+                    if (started || !this.canRetry(failure, attempt, options.signal)) {
+                        finished = true;
+                        this.recordFailure(failure, options.signal);
+                        throw failure;
+                    }
+                    await this.backoff(attempt, failure, options.signal);
+                } finally {
+                    clear();
+                }
+            }
+        } finally {
+            // The consumer stopped reading (e.g. cancelled) before the stream finished
+            if (!finished) this.breaker?.releaseTrial();
+        }
+    }
+
+    describe() {
+        return { provider: this.provider, model: this.model };
+    }
+}
+
+const PROVIDERS = ['ollama', 'openai', 'mock'];
+
+// Providers built for per-request parameters are cached, but only this many of them
+const MAX_CACHED_PROVIDERS = 20;
+
+// Ollama reports models as "name:tag"; an untagged name means ":latest"
+function sameModel(a, b) {
+    const normalize = name => (name.includes(':') ? name : `${name}:latest`);
+    return a === b || normalize(a) === normalize(b);
+}
+
+// Builds chat providers from the `llm` section of langchain.config.js. Providers are
+// created lazily and cached, so per-request selection doesn't reconnect every time.
+class LLMProviderRegistry {
+    constructor(llmConfig) {
+        this.config = llmConfig;
+        this.defaultProvider = llmConfig.provider;
+        this.cache = new Map();
+        this.modelCache = new Map();
+        // One breaker per provider: its server is what goes down, whatever model is requested
+        this.breakers = new Map();
+
+        if (!PROVIDERS.includes(this.defaultProvider)) {
+            throw new Error(`Unknown LLM provider "${this.defaultProvider}" (expected ${PROVIDERS.join(', ')})`);
+        }
+    }
+
+    // The default provider is always allowed; others only when listed in LLM_ALLOWED_PROVIDERS
+    isAllowed(name) {
+        return name === this.defaultProvider || this.config.allowedProviders.includes(name);
+    }
+
+    listAllowed() {
+        return PROVIDERS.filter(name => this.isAllowed(name));
+    }
+
+    // The model a provider uses: LLM_MODEL for the default provider, else the provider's own setting
+    resolveModel(name) {
+        if (name === this.defaultProvider && this.config.model) return this.config.model;
+        return this.config[name].model;
+    }
+
+    get(name = this.defaultProvider, overrides = {}) {
+        if (!PROVIDERS.includes(name)) {
+            throw new Error(`Unknown LLM provider "${name}"`);
+        }
+
+        const settings = {
+            model: this.resolveModel(name),
+            temperature: this.config.temperature,
+            maxTokens: this.config.maxTokens,
+            timeout: this.config.timeout,
+            retries: this.config.retries,
+            retryDelay: this.config.retryDelay,
+            ...overrides
+        };
+
+        const key = JSON.stringify([name, settings]);
+        if (!this.cache.has(key)) {
+            if (this.cache.size >= MAX_CACHED_PROVIDERS) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            this.cache.set(key, new ChatProvider(name, settings.model, this.createChatModel(name, settings), {
+                ...settings,
+                breaker: this.getBreaker(name)
+            }));
+        }
+        return this.cache.get(key);
+    }
+
+    getBreaker(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(`${name} LLM`, this.config.circuitBreaker));
+        }
+        return this.breakers.get(name);
+    }
+
+    // Circuit state of every provider used so far
+    getCircuitStatus() {
+        return Object.fromEntries([...this.breakers].map(([name, breaker]) => [name, breaker.getStatus()]));
+    }
+
+    // Models installed on the provider's server, cached briefly (`refresh` asks the server again)
+    async listModels(name = this.defaultProvider, { refresh = false } = {}) {
+        const cached = this.modelCache.get(name);
+        if (!refresh && cached && Date.now() - cached.fetchedAt < 30 * 1000) return cached.models;
+
+        const providerConfig = this.config[name];
+        let models;
+
+        switch (name) {
+            case 'ollama': {
+                const response = await fetch(`${providerConfig.baseUrl}/api/tags`, { signal: AbortSignal.timeout(5000) });
+                if (!response.ok) throw new Error(`Ollama returned HTTP ${response.status}`);
+
+                const data = await response.json();
+                models = (data.models || []).map(model => ({
+                    name: model.name,
+                    size: model.size,
+                    family: model.details?.family || null,
+                    parameterSize: model.details?.parameter_size || null
+                }));
+                break;
+            }
+
+            case 'openai': {
+                const response = await fetch(`${providerConfig.baseUrl.replace(/\/+$/, '')}/models`, {
+                    headers: providerConfig.apiKey ? { Authorization: `Bearer ${providerConfig.apiKey}` } : {},
+                    signal: AbortSignal.timeout(5000)
+                });
+                if (!response.ok) throw new Error(`LLM server returned HTTP ${response.status}`);
+
+                const data = await response.json();
+                models = (data.data || []).map(model => ({ name: model.id }));
+                break;
+            }
+
+            default:
+                models = [{ name: this.resolveModel(name) }];
+        }
+
+        this.modelCache.set(name, { models, fetchedAt: Date.now() });
+        return models;
+    }
+
+    // With LLM_ALLOWED_MODELS set only those models may be requested, otherwise any installed one
+    async isModelAllowed(name, model) {
+        if (sameModel(model, this.resolveModel(name))) return true;
+
+        if (this.config.allowedModels.length > 0) {
+            return this.config.allowedModels.some(allowed => sameModel(allowed, model));
+        }
+
+        try {
+            const installed = await this.listModels(name);
+            return installed.some(m => sameModel(m.name, model));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Checks per-request generation options against config.llm.
+    // Returns { error } or { provider, overrides, preset } ready for get().
+    async validateRequest({ provider, model, temperature, maxTokens, preset } = {}) {
+        const name = provider || this.defaultProvider;
+
+        if (!PROVIDERS.includes(name) || !this.isAllowed(name)) {
+            return { error: `LLM provider "${name}" is not available` };
+        }
+
+        const overrides = {};
+
+        if (model) {
+            if (!(await this.isModelAllowed(name, model))) {
+                return { error: `Model "${model}" is not available` };
+            }
+            overrides.model = model;
+        }
+
+        if (temperature !== undefined && temperature !== '') {
+            const value = Number(temperature);
+            if (!Number.isFinite(value) || value < 0 || value > this.config.maxTemperature) {
+                return { error: `Temperature must be between 0 and ${this.config.maxTemperature}` };
+            }
+            overrides.temperature = value;
+        }
+
+        if (maxTokens !== undefined && maxTokens !== '') {
+            const value = Number(maxTokens);
+            if (!Number.isInteger(value) || value < 1 || value > this.config.maxTokensLimit) {
+                return { error: `maxTokens must be a whole number between 1 and ${this.config.maxTokensLimit}` };
+            }
+            overrides.maxTokens = value;
+        }
+
+        if (preset && !Object.prototype.hasOwnProperty.call(this.config.presets, preset)) {
+            return { error: `Unknown preset "${preset}" (expected ${Object.keys(this.config.presets).join(', ')})` };
+        }
+
+        return { provider: provider || null, overrides, preset: preset || null };
+    }
+
+    getPresetInstruction(preset) {
+        return (preset && this.config.presets[preset]) || '';
+    }
+
+    createChatModel(name, settings) {
+        const providerConfig = this.config[name];
+
+        switch (name) {
+            case 'ollama':
+                return new ChatOllama({
+                    baseUrl: providerConfig.baseUrl,
+                    model: settings.model,
+                    temperature: settings.temperature,
+                    numPredict: settings.maxTokens
+                });
+
+            case 'openai':
+                return new OpenAICompatibleChatModel({
+                    baseUrl: providerConfig.baseUrl,
+                    apiKey: providerConfig.apiKey,
+                    model: settings.model,
+                    temperature: settings.temperature,
+                    maxTokens: settings.maxTokens
+                });
+
+            case 'mock':
+                return new MockChatModel({ model: settings.model, response: providerConfig.response });
+        }
+    }
+}
+
+module.exports = {
+    LLMProviderRegistry,
+    ChatProvider,
+    LLMTimeoutError,
+    OpenAICompatibleChatModel,
+    MockChatModel,
+    PROVIDERS,
+    sameModel
+};
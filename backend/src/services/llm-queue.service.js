@@ -0,0 +1,82 @@
+const { RateLimitError } = require('./rate-limiter.service');
+
+// Limits how many requests use the LLM at once. A local Ollama model serves one
+// generation at a time, so extra requests wait in a bounded FIFO queue and are
+// turned away with a 429 once the queue is full.
+class LlmQueue {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 1;
+        this.maxDepth = options.maxDepth ?? 10;
+        this.active = 0;
+        this.waiting = [];
+        // Moving average of how long a request holds its slot, used for Retry-After
+        this.averageMs = 15000;
+    }
+
+    // Resolves with a release() function once a slot is free
+    acquire(signal = null) {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve(this.createRelease());
+        }
+
+        if (this.waiting.length >= this.maxDepth) {
+            return Promise.reject(new RateLimitError(
+                'The assistant is busy with other requests, please try again shortly',
+                this.estimateWaitSeconds(),
+                { queued: this.waiting.length }
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject };
+            this.waiting.push(entry);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    const index = this.waiting.indexOf(entry);
+                    if (index !== -1) {
+                        this.waiting.splice(index, 1);
+                        reject(new Error('Request cancelled while queued'));
+                    }
+                }, { once: true });
+            }
+        });
+    }
+
+    createRelease() {
+        const startedAt = Date.now();
+        let released = false;
+
+        return () => {
+            if (released) return;
+            released = true;
+
+            this.averageMs = this.averageMs * 0.8 + (Date.now() - startedAt) * 0.2;
+
+            // Hand the slot straight to the next waiting request
+            const next = this.waiting.shift();
+            if (next) {
+                next.resolve(this.createRelease());
+            } else {
+                this.active--;
+            }
+        };
+    }
+
+    estimateWaitSeconds() {
+        return ((this.waiting.length + 1) / this.concurrency) * this.averageMs / 1000;
+    }
+
+    getStatus() {
+        return {
+            concurrency: this.concurrency,
+            maxDepth: this.maxDepth,
+            active: this.active,
+            queued: this.waiting.length,
+            averageMs: Math.round(this.averageMs)
+        };
+    }
+}
+
+module.exports = { LlmQueue };
@@ -0,0 +1,250 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Document } = require('langchain/document');
+
+// How long to wait for the embedding model when checking whether it is back
+const PROBE_TIMEOUT_MS = 5000;
+
+function indexPath(options = {}) {
+    return path.join(options.directory || './vector_store', `${options.collectionName || 'ahad_knowledge'}.json`);
+}
+
+// In-process vector index persisted as JSON, used when no Chroma server is running.
+// Implements the subset of the LangChain vector store API the service relies on.
+class LocalVectorStore {
+    constructor(embeddings, options = {}) {
+        this.embeddings = embeddings;
+        this.embeddingModel = options.embeddingModel || embeddings.model || 'unknown';
+        this.collectionName = options.collectionName || 'ahad_knowledge';
+        this.filePath = indexPath(options);
+        this.entries = new Map();
+        this.dimension = null;
+        this.writeQueue = Promise.resolve();
+
+        // False while the embedding model is unreachable: searches return nothing and new
+        // chunks are stored without vectors until a probe (at most every retryMs) succeeds
+        this.available = options.available !== false;
+        this.retryMs = options.retryMs || 30000;
+        this.lastProbeAt = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // The embedding model a persisted index was built with, or null
+    static async readEmbeddingModel(options = {}) {
+        try {
+            const data = await fs.readJson(indexPath(options));
+            return data.embeddingModel || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async initialize() {
+        await fs.ensureDir(path.dirname(this.filePath));
+
+        if (!(await fs.pathExists(this.filePath))) {
+            return this.size;
+        }
+
+        try {
+            const data = await fs.readJson(this.filePath);
+            for (const entry of data.entries || []) {
+                this.entries.set(entry.id, entry);
+            }
+            this.dimension = data.dimension || null;
+
+            // Vectors from another embedding model are not comparable, so rebuild them
+            if (data.embeddingModel && data.embeddingModel !== this.embeddingModel && this.size > 0) {
+                console.log(`🔁 Embedding model changed (${data.embeddingModel} → ${this.embeddingModel}), re-embedding ${this.size} chunk(s)`);
+                await this.reembed();
+            } else if (this.available) {
+                await this.embedMissing();
+            }
+        } catch (error) {
+            console.error(`⚠️ Could not load local vector index ${this.filePath}:`, error.message);
+        }
+
+        return this.size;
+    }
+
+    async reembed() {
+        const entries = Array.from(this.entries.values());
+        const vectors = await this.embeddings.embedDocuments(entries.map(e => e.pageContent));
+
+        entries.forEach((entry, i) => {
+            entry.vector = vectors[i];
+        });
+        this.dimension = vectors[0]?.length || null;
+        await this.persist();
+    }
+
+    // Chunks added while the model was unreachable
+    async embedMissing() {
+        const entries = Array.from(this.entries.values()).filter(entry => !entry.vector);
+        if (entries.length === 0) return;
+
+        const vectors = await this.embeddings.embedDocuments(entries.map(e => e.pageContent));
+        entries.forEach((entry, i) => {
+            entry.vector = vectors[i];
+        });
+        this.dimension = vectors[0]?.length || this.dimension;
+        console.log(`🔁 Embedded ${entries.length} chunk(s) added while ${this.embeddingModel} was unavailable`);
+        await this.persist();
+    }
+
+    async ensureAvailable() {
+        if (this.available) return true;
+        if (Date.now() - this.lastProbeAt < this.retryMs) return false;
+        this.lastProbeAt = Date.now();
+
+        try {
+            await Promise.race([
+                this.embeddings.embedQuery('ping'),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), PROBE_TIMEOUT_MS).unref())
+            ]);
+            this.available = true;
+            console.log(`✅ Embedding model ${this.embeddingModel} is reachable again, vector search resumed`);
+            await this.embedMissing();
+        } catch (error) {
+            console.log(`⚠️ Embedding model ${this.embeddingModel} still unavailable (${error.message})`);
+        }
+
+        return this.available;
+    }
+
+    async addDocuments(documents, options = {}) {
+        if (documents.length === 0) return [];
+
+        const ids = options.ids || documents.map((_, i) => `${Date.now()}-${i}`);
+        let vectors = documents.map(() => null);
+
+        if (await this.ensureAvailable()) {
+            try {
+                vectors = await this.embeddings.embedDocuments(documents.map(d => d.pageContent));
+            } catch (error) {
+                // The model went away after startup: keep the chunks and embed them once it is back
+                console.log(`⚠️ Embedding model ${this.embeddingModel} failed (${error.message}), vector search paused`);
+                this.available = false;
+                this.lastProbeAt = Date.now();
+            }
+        }
+
+        documents.forEach((doc, i) => {
+            this.entries.set(ids[i], {
+                id: ids[i],
+                pageContent: doc.pageContent,
+                metadata: doc.metadata || {},
+                vector: vectors[i]
+            });
+        });
+        this.dimension = vectors[0]?.length || this.dimension;
+
+        await this.persist();
+        return ids;
+    }
+
+    async delete({ ids, filter } = {}) {
+        let removed = 0;
+
+        if (ids) {
+            ids.forEach(id => {
+                if (this.entries.delete(id)) removed++;
+            });
+        }
+
+        if (filter) {
+            for (const [id, entry] of this.entries) {
+                if (this.matchesFilter(entry.metadata, filter)) {
+                    this.entries.delete(id);
+                    removed++;
+                }
+            }
+        }
+
+        if (removed > 0) await this.persist();
+        return removed;
+    }
+
+    // Supports the subset of Chroma's `where` syntax the service uses: equality, $eq, $ne, $in, $and, $or
+    matchesFilter(metadata, filter) {
+        return Object.entries(filter).every(([key, value]) => {
+            if (key === '$and') return value.every(clause => this.matchesFilter(metadata, clause));
+            if (key === '$or') return value.some(clause => this.matchesFilter(metadata, clause));
+
+            if (value !== null && typeof value === 'object') {
+                if ('$eq' in value) return metadata[key] === value.$eq;
+                if ('$ne' in value) return metadata[key] !== value.$ne;
+                if ('$in' in value) return value.$in.includes(metadata[key]);
+                return false;
+            }
+
+            return metadata[key] === value;
+        });
+    }
+
+    cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+    }
+
+    async similaritySearchVectorWithScore(queryVector, k = 4, filter = null) {
+        const results = [];
+
+        for (const entry of this.entries.values()) {
+            if (filter && !this.matchesFilter(entry.metadata, filter)) continue;
+            if (!entry.vector || entry.vector.length !== queryVector.length) continue;
+
+            results.push([
+                new Document({ pageContent: entry.pageContent, metadata: entry.metadata }),
+                this.cosineSimilarity(queryVector, entry.vector)
+            ]);
+        }
+
+        return results.sort((a, b) => b[1] - a[1]).slice(0, k);
+    }
+
+    async similaritySearchWithScore(query, k = 4, filter = null) {
+        if (!(await this.ensureAvailable())) return [];
+
+        const queryVector = await this.embeddings.embedQuery(query);
+        return this.similaritySearchVectorWithScore(queryVector, k, filter);
+    }
+
+    async similaritySearch(query, k = 4, filter = null) {
+        const results = await this.similaritySearchWithScore(query, k, filter);
+        return results.map(([doc]) => doc);
+    }
+
+    // Writes are serialised and atomic so a crash never leaves a half-written index
+    async persist() {
+        const snapshot = JSON.stringify({
+            collectionName: this.collectionName,
+            embeddingModel: this.embeddingModel,
+            dimension: this.dimension,
+            updatedAt: new Date().toISOString(),
+            entries: Array.from(this.entries.values())
+        });
+
+        this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tempPath, snapshot);
+            await fs.move(tempPath, this.filePath, { overwrite: true });
+        });
+
+        return this.writeQueue;
+    }
+}
+
+module.exports = { LocalVectorStore };
@@ -0,0 +1,141 @@
+const { createWorker } = require('tesseract.js');
+const sharp = require('sharp');
+
+class OCRService {
+    constructor() {
+        // Tesseract traineddata for each supported chat language
+        this.languageModels = {
+            'en': 'eng',
+            'hi': 'hin',
+            'ar': 'ara',
+            'te': 'tel'
+        };
+
+        // Small screenshots are upscaled and huge photos downscaled before OCR
+        this.minWidth = parseInt(process.env.OCR_MIN_WIDTH || '1600');
+        this.maxWidth = parseInt(process.env.OCR_MAX_WIDTH || '3000');
+
+        // Optional local traineddata directory so OCR works fully offline
+        this.langPath = process.env.TESSERACT_LANG_PATH || undefined;
+        this.cachePath = process.env.TESSERACT_CACHE_PATH || undefined;
+        this.retryDelay = 5 * 60 * 1000;
+
+        this.workers = new Map();
+    }
+
+    getModel(language = 'en') {
+        const model = this.languageModels[language] || 'eng';
+
+        // Non-English documents commonly mix in English text, so load both models
+        return model === 'eng' ? 'eng' : `${model}+eng`;
+    }
+
+    async getWorker(language = 'en') {
+        const model = this.getModel(language);
+
+        if (!this.workers.has(model)) {
+            console.log(`🔤 Loading OCR model: ${model}`);
+
+            // tesseract.js never settles createWorker() when a model fails to download, leaving
+            // its thread running, so the worker starts without languages and loads them with
+            // reinitialize(), which does reject; a worker that failed to load is terminated
+            const workerPromise = (async () => {
+                const worker = await createWorker([], 1, {
+                    langPath: this.langPath,
+                    cachePath: this.cachePath,
+                    errorHandler: (error) => console.error(`OCR worker error (${model}):`, error.message || error)
+                });
+
+                try {
+                    await worker.reinitialize(model.split('+'));
+                    return worker;
+                } catch (error) {
+                    await worker.terminate().catch(() => {});
+                    throw new Error(`OCR model ${model} unavailable: ${error.message || error}`);
+                }
+            })().catch(error => {
+                // Retry loading this model on a later request, but not immediately
+                setTimeout(() => this.workers.delete(model), this.retryDelay).unref();
+                throw error;
+            });
+
+            this.workers.set(model, workerPromise);
+        }
+
+        return this.workers.get(model);
+    }
+
+    // Grayscale, auto-orient, normalise contrast and resize to an OCR-friendly width
+    async preprocess(buffer) {
+        const metadata = await sharp(buffer, { failOn: 'none' }).metadata();
+
+        // EXIF orientations 5-8 swap width and height once the image is rotated
+        const rotated = metadata.orientation >= 5;
+        const dimensions = {
+            width: rotated ? metadata.height : metadata.width,
+            height: rotated ? metadata.width : metadata.height
+        };
+
+        let pipeline = sharp(buffer, { failOn: 'none' })
+            .rotate()
+            .grayscale()
+            .normalize();
+
+        if (dimensions.width && dimensions.width < this.minWidth) {
+            pipeline = pipeline.resize({ width: this.minWidth, kernel: 'lanczos3' });
+        } else if (dimensions.width && dimensions.width > this.maxWidth) {
+            pipeline = pipeline.resize({ width: this.maxWidth });
+        }
+
+        const processed = await pipeline.sharpen().png().toBuffer();
+
+        return {
+            buffer: processed,
+            dimensions,
+            format: metadata.format
+        };
+    }
+
+    // Run OCR on an already pre-processed image buffer
+    async recognize(buffer, language = 'en') {
+        const worker = await this.getWorker(language);
+
+        // rotateAuto lets Tesseract deskew slightly rotated scans before recognition
+        const { data } = await worker.recognize(buffer, { rotateAuto: true });
+        const text = (data.text || '').trim();
+
+        return {
+            text,
+            confidence: text ? Math.round(data.confidence) : 0,
+            model: this.getModel(language),
+            wordCount: text ? text.split(/\s+/).length : 0
+        };
+    }
+
+    async extractText(buffer, language = 'en') {
+        const { buffer: processed, dimensions, format } = await this.preprocess(buffer);
+        const result = await this.recognize(processed, language);
+
+        console.log(`🔍 OCR (${result.model}) extracted ${result.wordCount} word(s) with ${result.confidence}% confidence`);
+
+        return {
+            ...result,
+            dimensions,
+            format
+        };
+    }
+
+    async terminate() {
+        for (const [model, workerPromise] of this.workers) {
+            try {
+                const worker = await workerPromise;
+                await worker.terminate();
+            } catch (error) {
+                console.error(`OCR worker shutdown error (${model}):`, error.message);
+            }
+        }
+        this.workers.clear();
+    }
+}
+
+module.exports = { OCRService };
@@ -0,0 +1,98 @@
+const path = require('path');
+const { createCanvas, DOMMatrix, Path2D, ImageData } = require('@napi-rs/canvas');
+
+// pdf.js expects these browser globals when rendering outside the browser
+global.DOMMatrix = global.DOMMatrix || DOMMatrix;
+global.Path2D = global.Path2D || Path2D;
+global.ImageData = global.ImageData || ImageData;
+
+const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+
+const STANDARD_FONTS_DIR = path.join(
+    path.dirname(require.resolve('pdfjs-dist/package.json')),
+    'standard_fonts'
+) + path.sep;
+
+// pdf.js canvas factory backed by @napi-rs/canvas (prebuilt, no system libraries needed)
+class NodeCanvasFactory {
+    create(width, height) {
+        const canvas = createCanvas(width, height);
+        return {
+            canvas,
+            context: canvas.getContext('2d')
+        };
+    }
+
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+}
+
+class PDFRasterizer {
+    constructor() {
+        // 2x scale renders a typical A4 page at ~150 DPI, enough for OCR
+        this.scale = parseFloat(process.env.PDF_RASTER_SCALE || '2');
+        this.canvasFactory = new NodeCanvasFactory();
+    }
+
+    // Render the requested pages (1-based; all pages when omitted) to PNG buffers
+    async renderPages(buffer, pageNumbers = null, maxPages = Infinity) {
+        const document = await pdfjsLib.getDocument({
+            data: new Uint8Array(buffer),
+            canvasFactory: this.canvasFactory,
+            standardFontDataUrl: STANDARD_FONTS_DIR,
+            isEvalSupported: false,
+            disableFontFace: true,
+            verbosity: 0
+        }).promise;
+
+        try {
+            const numbers = (pageNumbers || Array.from({ length: document.numPages }, (_, i) => i + 1))
+                .slice(0, maxPages);
+            const images = [];
+
+            for (const pageNumber of numbers) {
+                if (pageNumber < 1 || pageNumber > document.numPages) continue;
+
+                const page = await document.getPage(pageNumber);
+                const viewport = page.getViewport({ scale: this.scale });
+                const canvasAndContext = this.canvasFactory.create(
+                    Math.ceil(viewport.width),
+                    Math.ceil(viewport.height)
+                );
+
+                // Scanned pages are often transparent; OCR needs a white background
+                canvasAndContext.context.fillStyle = '#ffffff';
+                canvasAndContext.context.fillRect(0, 0, viewport.width, viewport.height);
+
+                await page.render({
+                    canvasContext: canvasAndContext.context,
+                    viewport,
+                    canvasFactory: this.canvasFactory
+                }).promise;
+
+                images.push({
+                    page: pageNumber,
+                    image: await canvasAndContext.canvas.encode('png')
+                });
+
+                page.cleanup();
+                this.canvasFactory.destroy(canvasAndContext);
+            }
+
+            return images;
+        } finally {
+            await document.destroy();
+        }
+    }
+}
+
+module.exports = { PDFRasterizer };
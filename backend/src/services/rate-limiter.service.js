@@ -0,0 +1,123 @@
+// Raised when a client is over a limit; routes answer 429 with `Retry-After`
+class RateLimitError extends Error {
+    constructor(message, retryAfter, details = {}) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.retryAfter = Math.max(1, Math.ceil(retryAfter));
+        this.details = details;
+    }
+}
+
+// Fixed-window request counters keyed by rule and client (API key, user or IP).
+// Counters live in memory, so limits reset when the server restarts.
+class RateLimiter {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || 60 * 1000;
+        this.windows = new Map();
+
+        // Forget finished windows so idle clients don't accumulate
+        this.cleanupTimer = setInterval(() => this.prune(), this.windowMs);
+        this.cleanupTimer.unref();
+    }
+
+    consume(rule, clientKey, limit) {
+        const now = Date.now();
+        const key = `${rule}:${clientKey}`;
+        let window = this.windows.get(key);
+
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+
+        return {
+            allowed: window.count <= limit,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetAt: window.resetAt,
+            retryAfter: (window.resetAt - now) / 1000
+        };
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(key);
+        }
+    }
+}
+
+// Daily usage budgets (LLM tokens, upload bytes) per client, reset at midnight UTC
+class UsageQuota {
+    constructor(limits = {}) {
+        this.limits = limits;
+        this.day = this.currentDay();
+        this.usage = new Map();
+    }
+
+    currentDay() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    secondsUntilReset() {
+        const midnight = new Date(`${this.day}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000;
+        return (midnight - Date.now()) / 1000;
+    }
+
+    getUsage(clientKey) {
+        const today = this.currentDay();
+        if (today !== this.day) {
+            this.day = today;
+            this.usage.clear();
+        }
+
+        if (!this.usage.has(clientKey)) {
+            this.usage.set(clientKey, Object.fromEntries(Object.keys(this.limits).map(name => [name, 0])));
+        }
+        return this.usage.get(clientKey);
+    }
+
+    // Throws if using `amount` more of the quota would exceed it (0 checks it isn't already used up)
+    check(clientKey, name, amount = 0) {
+        const limit = this.limits[name];
+        if (!limit) return;
+
+        const used = this.getUsage(clientKey)[name];
+        if (used >= limit || used + amount > limit) {
+            throw new RateLimitError(`Daily ${name} quota exceeded`, this.secondsUntilReset(), {
+                quota: name,
+                limit,
+                used
+            });
+        }
+    }
+
+    record(clientKey, name, amount) {
+        const usage = this.getUsage(clientKey);
+        usage[name] = (usage[name] || 0) + amount;
+        return usage[name];
+    }
+
+    describe(clientKey) {
+        const usage = this.getUsage(clientKey);
+        return Object.fromEntries(Object.entries(this.limits).map(([name, limit]) => [
+            name,
+            { used: usage[name], limit: limit || null }
+        ]));
+    }
+}
+
+// Rough token count (about four characters per token) for quota accounting
+function estimateTokens(...texts) {
+    return texts.reduce((total, text) => total + Math.ceil((text || '').length / 4), 0);
+}
+
+module.exports = {
+    RateLimiter,
+    RateLimitError,
+    UsageQuota,
+    estimateTokens
+};
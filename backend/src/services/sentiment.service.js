@@ -0,0 +1,184 @@
+const natural = require('natural');
+
+const LEXICONS = {
+    en: require('../data/sentiment/en.json'),
+    hi: require('../data/sentiment/hi.json'),
+    ar: require('../data/sentiment/ar.json'),
+    te: require('../data/sentiment/te.json')
+};
+
+// How many words away a negation still applies
+const NEGATION_WINDOW = 3;
+
+// Scores above/below ±0.2 are positive/negative (the same cut-off the AFINN average used)
+const LABEL_THRESHOLD = 0.2;
+
+const LATIN = /^[a-z0-9']+$/;
+
+// Negations and intensifiers don't reach across clause punctuation ("not working, awful")
+const CLAUSE_BREAK = /[,.;:!?\u060C\u061B\u061F\u0964\u0965]+/;
+
+// Arabic is matched without diacritics/tatweel and with a single alef and ya form
+function normalizeArabic(word) {
+    return word
+        .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+        .replace(/[\u0622\u0623\u0625]/g, '\u0627')
+        .replace(/\u0649/g, '\u064A');
+}
+
+function normalize(word, language) {
+    const normalized = word.normalize('NFC').toLowerCase();
+    return language === 'ar' ? normalizeArabic(normalized) : normalized;
+}
+
+// Lexicon-based sentiment for English, Hindi, Arabic and Telugu. Words are scored -5..5
+// (English from natural's AFINN-165 list, the others from src/data/sentiment), negated
+// words flip sign and intensifiers next to a word scale it. Latin-script words in a
+// Hindi/Arabic/Telugu message (code-mixing) fall back to the English lexicon.
+class SentimentAnalyzer {
+    constructor() {
+        const afinn = new natural.SentimentAnalyzer('English', null, 'afinn');
+        this.english = this.buildProfile('en', { ...LEXICONS.en, words: afinn.vocabulary });
+        this.profiles = { en: this.english };
+
+        for (const language of ['hi', 'ar', 'te']) {
+            this.profiles[language] = this.buildProfile(language, LEXICONS[language]);
+        }
+    }
+
+    buildProfile(language, lexicon) {
+        const mapKeys = entries => new Map(Object.entries(entries || {}).map(([word, value]) => [normalize(word, language), value]));
+
+        return {
+            language,
+            words: mapKeys(lexicon.words),
+            intensifiers: mapKeys(lexicon.intensifiers),
+            negations: new Set((lexicon.negations || []).map(word => normalize(word, language))),
+            negationSuffixes: (lexicon.negationSuffixes || []).map(word => normalize(word, language)),
+            negationScope: lexicon.negationScope || 'before',
+            exclamations: new Set((lexicon.exclamations || []).map(word => normalize(word, language))),
+            exclamationPattern: lexicon.exclamationPattern ? new RegExp(lexicon.exclamationPattern, 'u') : null,
+            prefixes: (lexicon.prefixes || []).map(word => normalize(word, language)),
+            matchStems: !!lexicon.matchStems
+        };
+    }
+
+    tokenize(text, language) {
+        return (String(text || '').match(/[\p{L}\p{M}\p{N}']+/gu) || []).map(word => normalize(word, language));
+    }
+
+    // The profile whose lexicon covers this word: the message language, or English for Latin words
+    profileFor(token, profile) {
+        return profile !== this.english && LATIN.test(token) ? [profile, this.english] : [profile];
+    }
+
+    lookupWord(token, profile) {
+        for (const candidate of this.profileFor(token, profile)) {
+            if (candidate.words.has(token)) return candidate.words.get(token);
+
+            // Arabic attaches articles and conjunctions (ال, و, ب, ...) to the word
+            for (const prefix of candidate.prefixes) {
+                const stem = token.slice(prefix.length);
+                if (token.startsWith(prefix) && stem.length >= 2 && candidate.words.has(stem)) {
+                    return candidate.words.get(stem);
+                }
+            }
+
+            // Telugu and Arabic inflect with suffixes (బాగుందా, جيدا), so an entry may match the start of the word
+            if (candidate.matchStems && token.length > 3) {
+                for (let end = token.length - 1; end >= 3; end--) {
+                    const stem = token.slice(0, end);
+                    if (candidate.words.has(stem)) return candidate.words.get(stem);
+                }
+            }
+        }
+        return null;
+    }
+
+    isNegation(token, profile) {
+        return this.profileFor(token, profile).some(candidate => candidate.negations.has(token));
+    }
+
+    // Arabic ما before an elative (ما أجمل "how beautiful") exclaims rather than negates
+    negatesAt(tokens, position, profile) {
+        const token = tokens[position];
+        if (!this.isNegation(token, profile)) return false;
+
+        const next = tokens[position + 1];
+        return !(profile.exclamations.has(token) && next && profile.exclamationPattern?.test(next));
+    }
+
+    intensity(token, profile) {
+        for (const candidate of this.profileFor(token, profile)) {
+            if (candidate.intensifiers.has(token)) return candidate.intensifiers.get(token);
+        }
+        return null;
+    }
+
+    isNegated(tokens, index, profile) {
+        const { negationScope, negationSuffixes } = profile;
+        const token = tokens[index];
+
+        // బాగాలేదు ("not good"): the negation is fused onto the word itself
+        if (negationSuffixes.some(suffix => token.length > suffix.length && token.endsWith(suffix))) return true;
+
+        const start = Math.max(0, index - NEGATION_WINDOW);
+        const end = Math.min(tokens.length, index + 1 + NEGATION_WINDOW);
+
+        for (let position = start; position < end; position++) {
+            if (position === index) continue;
+            if (position < index ? negationScope === 'after' : negationScope === 'before') continue;
+            if (this.negatesAt(tokens, position, profile)) return true;
+        }
+        return false;
+    }
+
+    // Returns { label, score, confidence } with score in -1..1
+    analyze(text, language = 'en') {
+        const profile = this.profiles[language] || this.english;
+        const clauses = String(text || '').split(CLAUSE_BREAK).map(clause => this.tokenize(clause, profile.language));
+        let total = 0;
+        let matches = 0;
+
+        clauses.forEach(tokens => tokens.forEach((token, index) => {
+            // "no" carries its own AFINN score, but here it only negates its neighbour
+            if (this.isNegation(token, profile)) return;
+
+            // Negation suffixes are stripped before looking the word up (బాగాలేదు → బాగా)
+            const suffix = profile.negationSuffixes.find(s => token.length > s.length && token.endsWith(s));
+            const value = this.lookupWord(suffix ? token.slice(0, -suffix.length) : token, profile)
+                ?? this.lookupWord(token, profile);
+            if (value === null || value === undefined) return;
+
+            let score = value;
+            // Intensifiers sit right before (English, Hindi, Telugu) or after (Arabic جدا) the word
+            const multiplier = this.intensity(tokens[index - 1] || '', profile) ?? this.intensity(tokens[index + 1] || '', profile);
+            if (multiplier) score *= multiplier;
+            if (this.isNegated(tokens, index, profile)) score *= -1;
+
+            total += score;
+            matches++;
+        }));
+
+        // Squash the sum into -1..1 (as VADER does), so more evidence means a stronger score
+        const score = matches > 0 ? total / Math.sqrt(total * total + 15) : 0;
+        const label = score > LABEL_THRESHOLD ? 'positive' : score < -LABEL_THRESHOLD ? 'negative' : 'neutral';
+
+        // Strong scores backed by several sentiment words are the most reliable; a neutral
+        // result with no sentiment words at all is little more than a guess
+        const confidence = label === 'neutral'
+            ? (matches === 0 ? 0.5 : 0.6)
+            : 0.5 + 0.5 * Math.abs(score) * Math.min(1, 0.5 + matches / 4);
+
+        return {
+            label,
+            score: Math.round(score * 100) / 100,
+            confidence: Math.round(confidence * 100) / 100
+        };
+    }
+}
+
+module.exports = {
+    SentimentAnalyzer,
+    normalizeArabic
+};
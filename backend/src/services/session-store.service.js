@@ -0,0 +1,264 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Stores one JSON file per session, written atomically. Text and pages extracted from
+// uploaded files never change, so they are written once to files/<fileId>.json and the
+// session file (rewritten on every message) only keeps the file metadata.
+class JsonFileSessionBackend {
+    constructor(directory) {
+        this.directory = directory;
+        this.filesDirectory = path.join(directory, 'files');
+        this.writeQueues = new Map();
+        // File contents already on disk
+        this.storedFiles = new Set();
+    }
+
+    async initialize() {
+        await fs.ensureDir(this.directory);
+    }
+
+    getFilePath(sessionId) {
+        // Session IDs come from clients, so never use them as raw paths
+        return path.join(this.directory, `${encodeURIComponent(sessionId)}.json`);
+    }
+
+    getContentPath(fileId) {
+        return path.join(this.filesDirectory, `${encodeURIComponent(fileId)}.json`);
+    }
+
+    async writeAtomic(filePath, data) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, data);
+        await fs.move(tempPath, filePath, { overwrite: true });
+    }
+
+    // Puts the stored text and pages back on a loaded session's files
+    async loadContents(session) {
+        for (const file of session.files || []) {
+            // Sessions saved before contents were split out still carry them inline
+            if (file.content !== undefined || !file.id) continue;
+
+            const contentPath = this.getContentPath(file.id);
+            if (!(await fs.pathExists(contentPath))) continue;
+
+            try {
+                const { content, pages } = await fs.readJson(contentPath);
+                Object.assign(file, { content, ...(pages && { pages }) });
+                this.storedFiles.add(file.id);
+            } catch (error) {
+                console.error(`⚠️ Unreadable contents for file ${file.id}:`, error.message);
+            }
+        }
+    }
+
+    async loadAll() {
+        const sessions = [];
+        const entries = await fs.readdir(this.directory);
+
+        for (const entry of entries) {
+            if (!entry.endsWith('.json')) continue;
+
+            try {
+                const session = await fs.readJson(path.join(this.directory, entry));
+                await this.loadContents(session);
+                sessions.push(session);
+            } catch (error) {
+                console.error(`⚠️ Skipping unreadable session file ${entry}:`, error.message);
+            }
+        }
+
+        return sessions;
+    }
+
+    // Writes for the same session are queued so they never interleave
+    enqueue(sessionId, task) {
+        const previous = this.writeQueues.get(sessionId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        this.writeQueues.set(sessionId, next);
+
+        next.finally(() => {
+            if (this.writeQueues.get(sessionId) === next) {
+                this.writeQueues.delete(sessionId);
+            }
+        }).catch(() => {});
+
+        return next;
+    }
+
+    async save(session) {
+        const filePath = this.getFilePath(session.id);
+        const files = session.files || [];
+        const contents = files
+            .filter(file => file.id && file.content !== undefined && !this.storedFiles.has(file.id))
+            .map(({ id, content, pages }) => ({ id, content, pages }));
+        const metadata = ({ content, pages, ...file }) => file;
+        const snapshot = JSON.stringify({
+            ...session,
+            files: files.map(file => (file.id ? metadata(file) : file))
+        }, null, 2);
+
+        return this.enqueue(session.id, async () => {
+            if (contents.length > 0) await fs.ensureDir(this.filesDirectory);
+            for (const file of contents) {
+                if (this.storedFiles.has(file.id)) continue;
+                await this.writeAtomic(this.getContentPath(file.id), JSON.stringify(file));
+                this.storedFiles.add(file.id);
+            }
+            await this.writeAtomic(filePath, snapshot);
+        });
+    }
+
+    async delete(sessionId, fileIds = []) {
+        return this.enqueue(sessionId, async () => {
+            await fs.remove(this.getFilePath(sessionId));
+            for (const fileId of fileIds) {
+                await fs.remove(this.getContentPath(fileId));
+                this.storedFiles.delete(fileId);
+            }
+        });
+    }
+}
+
+// Keeps sessions for the lifetime of the process only (useful for tests)
+class MemorySessionBackend {
+    async initialize() {}
+
+    async loadAll() {
+        return [];
+    }
+
+    async save() {}
+
+    async delete() {}
+}
+
+class SessionStore {
+    constructor(backend, options = {}) {
+        this.backend = backend;
+        this.maxMessages = options.maxMessages || 50;
+        this.sessions = new Map();
+    }
+
+    async initialize() {
+        await this.backend.initialize();
+
+        const sessions = await this.backend.loadAll();
+        for (const session of sessions) {
+            if (session && session.id) {
+                this.sessions.set(session.id, session);
+            }
+        }
+
+        return this.sessions.size;
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    has(sessionId) {
+        return this.sessions.has(sessionId);
+    }
+
+    get(sessionId) {
+        return this.sessions.get(sessionId) || null;
+    }
+
+    list() {
+        return Array.from(this.sessions.values());
+    }
+
+    async getOrCreate(sessionId, defaults = {}) {
+        if (this.sessions.has(sessionId)) {
+            return this.sessions.get(sessionId);
+        }
+
+        const now = new Date().toISOString();
+        const session = {
+            id: sessionId,
+            // Owner of the session when authentication is enabled
+            userId: defaults.userId || null,
+            language: defaults.language || 'en',
+            files: [],
+            messages: [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.sessions.set(sessionId, session);
+        await this.persist(session);
+        return session;
+    }
+
+    async update(sessionId, changes) {
+        const session = await this.getOrCreate(sessionId);
+        Object.assign(session, changes, { updatedAt: new Date().toISOString() });
+        await this.persist(session);
+        return session;
+    }
+
+    async addFiles(sessionId, files) {
+        const session = await this.getOrCreate(sessionId);
+
+        // Image previews are large base64 strings that can be rebuilt from the saved upload
+        const stored = files.map(({ preview, ...file }) => file);
+
+        session.files = [...session.files, ...stored];
+        session.updatedAt = new Date().toISOString();
+        await this.persist(session);
+        return session;
+    }
+
+    async addMessage(sessionId, message) {
+        const session = await this.getOrCreate(sessionId);
+
+        session.messages.push(message);
+        if (session.messages.length > this.maxMessages) {
+            session.messages = session.messages.slice(-this.maxMessages);
+        }
+
+        session.updatedAt = new Date().toISOString();
+        await this.persist(session);
+        return session;
+    }
+
+    async delete(sessionId) {
+        const session = this.sessions.get(sessionId);
+        const existed = this.sessions.delete(sessionId);
+        await this.backend.delete(sessionId, (session?.files || []).map(file => file.id).filter(Boolean));
+        return existed;
+    }
+
+    async persist(session) {
+        try {
+            await this.backend.save(session);
+        } catch (error) {
+            console.error(`❌ Failed to persist session ${session.id}:`, error.message);
+        }
+    }
+}
+
+function createSessionStore(options = {}) {
+    const { store = 'json', directory = './data/sessions', maxMessages } = options;
+
+    switch (store) {
+        case 'memory':
+            return new SessionStore(new MemorySessionBackend(), { maxMessages });
+
+        case 'json':
+            return new SessionStore(
+                new JsonFileSessionBackend(path.resolve(__dirname, '../..', directory)),
+                { maxMessages }
+            );
+
+        default:
+            throw new Error(`Unknown session store: ${store}`);
+    }
+}
+
+module.exports = {
+    SessionStore,
+    JsonFileSessionBackend,
+    MemorySessionBackend,
+    createSessionStore
+};
@@ -0,0 +1,94 @@
+const { ExpressionEvaluator, ToolError } = require('./expression-evaluator.service');
+const { UnitConverter } = require('./unit-converter.service');
+const { DateTools } = require('./date-tools.service');
+
+// Tools tried in order for each intent. Conversions are often phrased as arithmetic
+// ("how many dollars is 50 euros"), and the converter only accepts an amount with two
+// compatible units, so it goes first.
+const INTENT_TOOLS = {
+    calculate: ['unit_converter', 'calculator'],
+    convert: ['unit_converter', 'calculator'],
+    datetime: ['date']
+};
+
+// The model asks for a tool by answering with a single line "CALL <tool>: <input>"
+const CALL_PREFIX = 'CALL ';
+const CALL_PATTERN = /^\s*CALL\s+([a-z_]+)\s*:\s*(.+)/;
+
+// Runs the local deterministic tools: for a message whose intent maps to a tool, and for
+// tool calls the model emits. Results are { name, source, input, output, text } or
+// { name, source, input, error } and are added to the prompt and the chat response.
+class ToolRegistry {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.modelCalls = this.enabled && options.modelCalls !== false;
+        this.maxModelCalls = options.maxModelCalls ?? 2;
+
+        const tools = [new ExpressionEvaluator(), new UnitConverter(options), new DateTools(options)];
+        this.tools = new Map(tools.map(tool => [tool.name, tool]));
+    }
+
+    list() {
+        return [...this.tools.values()].map(({ name, description }) => ({ name, description }));
+    }
+
+    run(name, input, source = 'intent') {
+        const { errorKind, ...result } = this.execute(name, input, source);
+        return result;
+    }
+
+    // Like run(), with the kind of failure ('input' when the tool didn't understand the text)
+    execute(name, input, source) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return { name, source, input, errorKind: 'input', error: `Unknown tool "${name}". Available: ${[...this.tools.keys()].join(', ')}` };
+        }
+
+        try {
+            const { text, ...output } = tool.run(input);
+            console.log(`🧮 ${name} (${source}): ${text}`);
+            return { name, source, input, output, text };
+        } catch (error) {
+            if (!(error instanceof ToolError)) {
+                console.error(`❌ Tool ${name} failed:`, error);
+            }
+            return { name, source, input, error: error.message, errorKind: error.kind || 'internal' };
+        }
+    }
+
+    // The first tool for the intent that understands the message; [] when none applies
+    runForIntent(text, intent) {
+        if (!this.enabled || !intent) return [];
+
+        for (const name of INTENT_TOOLS[intent.label] || []) {
+            const { errorKind, ...result } = this.execute(name, text, 'intent');
+
+            // A well-formed question without an answer (10 / 0) is still worth reporting
+            if (errorKind !== 'input') return [result];
+        }
+        return [];
+    }
+
+    // Prompt lines telling the model which tools it may call
+    describeForPrompt() {
+        const lines = this.list().map(({ name, description }) => `  - ${name}: ${description}`);
+        return [
+            `- For exact arithmetic, unit/currency conversion or date calculations not already in TOOL RESULTS, answer with ONLY one line "${CALL_PREFIX}<tool>: <input>" and nothing else; you will then get the result. Tools:`,
+            ...lines
+        ].join('\n');
+    }
+
+    // Whether a partial answer could still turn into a tool call (used to hold back streamed tokens)
+    mayBeCall(text) {
+        const head = text.trimStart();
+        return head.length < CALL_PREFIX.length ? CALL_PREFIX.startsWith(head) : head.startsWith(CALL_PREFIX);
+    }
+
+    // { name, input } when the answer is a tool call, otherwise null
+    parseCall(text) {
+        const match = String(text || '').match(CALL_PATTERN);
+        return match ? { name: match[1], input: match[2].trim() } : null;
+    }
+}
+
+module.exports = { ToolRegistry };
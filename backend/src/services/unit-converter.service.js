@@ -0,0 +1,168 @@
+const fs = require('fs-extra');
+const path = require('path');
+const UNITS = require('../data/tools/units.json');
+const CURRENCIES = require('../data/tools/currencies.json');
+const { ToolError, normalizeNumerals } = require('./expression-evaluator.service');
+const { normalizeArabic } = require('./sentiment.service');
+
+// Words that introduce the target unit ("5 km to miles", "५ किलो को पाउंड में")
+const CONVERSION_WORDS = new Set(['to', 'in', 'into', 'as', 'को', 'में', 'mein', 'الى', 'ل', 'ب', 'కి', 'లోకి', 'లో']);
+
+// Aliases that are also ordinary words or single letters only count next to a number or
+// right after a conversion word ("5 in", "to c"), never on their own
+const WEAK_ALIASES = new Set(['in', 'c', 'f', 'k', 'm', 'g', 'l', 'h', 's', 't', 'b']);
+
+function normalize(text) {
+    return normalizeArabic(normalizeNumerals(text).normalize('NFC').toLowerCase());
+}
+
+function tokenize(text) {
+    return normalize(text).match(/\d+(?:[.,]\d+)*|[\p{L}\p{M}'°²/]+|[$€£₹¥]/gu) || [];
+}
+
+// Converts between units of the same kind (length, mass, volume, area, time, data, speed,
+// temperature) and between currencies using a static rate table. Rates come from
+// src/data/tools/currencies.json or the file in config.tools.currencyRatesFile and are
+// reported with their date, since they are not live.
+class UnitConverter {
+    constructor(options = {}) {
+        this.name = 'unit_converter';
+        this.description = 'unit and currency conversion, e.g. 5 km to mi, 100 °F to °C, 50 EUR to INR';
+        this.currencies = this.loadCurrencies(options.currencyRatesFile);
+        this.aliases = this.buildAliases();
+    }
+
+    loadCurrencies(file) {
+        if (!file) return CURRENCIES;
+
+        try {
+            const custom = fs.readJsonSync(path.resolve(__dirname, '../..', file));
+            return { ...CURRENCIES, ...custom, rates: { ...CURRENCIES.rates, ...custom.rates } };
+        } catch (error) {
+            console.error(`⚠️ Could not load currency rates from ${file}, using the bundled table:`, error.message);
+            return CURRENCIES;
+        }
+    }
+
+    // alias tokens → [{ category, unit }]; one alias may name several units ("pounds")
+    buildAliases() {
+        const aliases = new Map();
+        const add = (alias, entry) => {
+            const key = tokenize(alias).join(' ');
+            if (!key) return;
+            if (!aliases.has(key)) aliases.set(key, []);
+            aliases.get(key).push(entry);
+        };
+
+        for (const [category, units] of Object.entries(UNITS)) {
+            for (const [unit, definition] of Object.entries(units)) {
+                add(unit, { category, unit });
+                definition.aliases.forEach(alias => add(alias, { category, unit }));
+            }
+        }
+
+        for (const code of Object.keys(this.currencies.rates)) {
+            add(code, { category: 'currency', unit: code });
+            (this.currencies.aliases[code] || []).forEach(alias => add(alias, { category: 'currency', unit: code }));
+        }
+        // "pounds" is usually weight, but "100 pounds to euros" means sterling
+        add('pound', { category: 'currency', unit: 'GBP' });
+        add('pounds', { category: 'currency', unit: 'GBP' });
+
+        this.maxAliasLength = Math.max(...[...aliases.keys()].map(key => key.split(' ').length));
+        return aliases;
+    }
+
+    // Unit mentions in the token list, longest alias first: [{ start, end, alias, candidates }]
+    findUnits(tokens) {
+        const mentions = [];
+
+        for (let start = 0; start < tokens.length; start++) {
+            for (let length = Math.min(this.maxAliasLength, tokens.length - start); length > 0; length--) {
+                const alias = tokens.slice(start, start + length).join(' ');
+                if (this.aliases.has(alias)) {
+                    mentions.push({ start, end: start + length - 1, alias, candidates: this.aliases.get(alias) });
+                    start += length - 1;
+                    break;
+                }
+            }
+        }
+
+        return mentions;
+    }
+
+    // { amount, from, to, category } from a message such as "how many dollars is 50 euros?"
+    parse(text) {
+        const tokens = tokenize(text);
+        const numberIndex = tokens.findIndex(token => /^\d/.test(token));
+        if (numberIndex === -1) return null;
+
+        const amount = parseFloat(tokens[numberIndex].replace(/,(?=\d{3}\b)/g, '').replace(',', '.'));
+        const afterConversionWord = mention => mention.start > 0 && CONVERSION_WORDS.has(tokens[mention.start - 1]);
+        const mentions = this.findUnits(tokens).filter(mention =>
+            !WEAK_ALIASES.has(mention.alias)
+            || mention.start === numberIndex + 1
+            || afterConversionWord(mention)
+        );
+
+        // The source unit sits right after the number ("50 euros") or right before it ("$50", "USD 50")
+        const source = mentions.find(m => m.start === numberIndex + 1) || mentions.find(m => m.end === numberIndex - 1);
+        if (!source) return null;
+
+        const targets = mentions.filter(m => m !== source).sort((a, b) => afterConversionWord(b) - afterConversionWord(a));
+        for (const target of targets) {
+            for (const from of source.candidates) {
+                const to = target.candidates.find(candidate => candidate.category === from.category && candidate.unit !== from.unit);
+                if (to) {
+                    return { amount, from: from.unit, to: to.unit, category: from.category };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    convert(amount, from, to, category) {
+        if (category === 'currency') {
+            const { rates } = this.currencies;
+            return amount / rates[from] * rates[to];
+        }
+        if (category === 'temperature') {
+            const celsius = from === '°C' ? amount : from === '°F' ? (amount - 32) * 5 / 9 : amount - 273.15;
+            return to === '°C' ? celsius : to === '°F' ? celsius * 9 / 5 + 32 : celsius + 273.15;
+        }
+
+        const units = UNITS[category];
+        return amount * units[from].factor / units[to].factor;
+    }
+
+    // Tool entry point: { amount, from, to, category, result, text }
+    run(input) {
+        const request = this.parse(input);
+        if (!request) {
+            throw new ToolError('Could not find an amount with two compatible units, e.g. "5 km to mi"');
+        }
+
+        const { amount, from, to, category } = request;
+        const value = this.convert(amount, from, to, category);
+
+        if (category === 'currency') {
+            const result = Math.round(value * 100) / 100;
+            return {
+                ...request,
+                result,
+                asOf: this.currencies.asOf,
+                text: `${amount} ${from} ≈ ${result} ${to} (approximate, using exchange rates from ${this.currencies.asOf})`
+            };
+        }
+
+        const result = Number(value.toPrecision(6));
+        return {
+            ...request,
+            result,
+            text: `${amount} ${from} = ${result} ${to}`
+        };
+    }
+}
+
+module.exports = { UnitConverter };
@@ -0,0 +1,181 @@
+const fs = require('fs-extra');
+const path = require('path');
+require('dotenv').config();
+
+const { OllamaEmbeddings } = require('@langchain/community/embeddings/ollama');
+const config = require('./config/langchain.config');
+const { ChromaCollectionManager } = require('./services/chroma-collection.service');
+
+// Prepares a fresh checkout: data directories, Ollama models and the ChromaDB collection.
+// Usage: npm run setup [-- --pull]   (--pull downloads missing Ollama models)
+const backendDir = path.resolve(__dirname, '..');
+const ollamaUrl = config.llm.ollama.baseUrl;
+const chromaUrl = process.env.CHROMA_URL || 'http://localhost:8000';
+// The chat model only has to be in Ollama when Ollama is the LLM provider
+const chatModel = config.llm.provider === 'ollama' ? config.llm.model || config.llm.ollama.model : null;
+const embeddingModel = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
+
+const results = [];
+
+function report(status, step, detail) {
+    const icon = { ok: '✅', warn: '⚠️ ', fail: '❌' }[status];
+    results.push({ status, step });
+    console.log(`${icon} ${step}${detail ? `: ${detail}` : ''}`);
+}
+
+async function prepareDirectories() {
+    const directories = [
+        'uploads',
+        config.sessions.directory,
+        config.knowledge.directory,
+        config.auth.directory,
+        config.knowledge.baseDirectory,
+        config.vectorStore.persistDirectory
+    ];
+
+    for (const directory of directories) {
+        const fullPath = path.resolve(backendDir, directory);
+        try {
+            await fs.ensureDir(fullPath);
+            const relative = path.relative(backendDir, fullPath);
+            report('ok', `Directory ${relative.startsWith('..') ? fullPath : relative}`);
+        } catch (error) {
+            report('fail', `Directory ${fullPath}`, error.message);
+        }
+    }
+}
+
+// Ollama reports models as "name:tag"; an untagged name means ":latest"
+function hasModel(models, name) {
+    const wanted = name.includes(':') ? name : `${name}:latest`;
+    return models.some(model => model === wanted || model === name);
+}
+
+async function pullModel(name) {
+    console.log(`⬇️  Pulling ${name} (this can take a while)...`);
+    const response = await fetch(`${ollamaUrl}/api/pull`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, stream: false })
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+}
+
+async function checkOllama(pull) {
+    let models;
+    try {
+        const response = await fetch(`${ollamaUrl}/api/tags`);
+        const data = await response.json();
+        models = (data.models || []).map(m => m.name);
+        report('ok', 'Ollama', `reachable at ${ollamaUrl}`);
+    } catch (error) {
+        report('fail', 'Ollama', `not reachable at ${ollamaUrl} (${error.message}). Install it and run \`ollama serve\``);
+        return false;
+    }
+
+    let allPresent = true;
+    for (const model of [chatModel, embeddingModel].filter(Boolean)) {
+        if (hasModel(models, model)) {
+            report('ok', `Model ${model}`);
+            continue;
+        }
+
+        if (!pull) {
+            report('warn', `Model ${model}`, `missing, run \`ollama pull ${model}\` or \`npm run setup -- --pull\``);
+            allPresent = false;
+            continue;
+        }
+
+        try {
+            await pullModel(model);
+            report('ok', `Model ${model}`, 'pulled');
+        } catch (error) {
+            report('fail', `Model ${model}`, `pull failed (${error.message})`);
+            allPresent = false;
+        }
+    }
+
+    return allPresent;
+}
+
+async function checkOpenAICompatible() {
+    const { baseUrl, apiKey } = config.llm.openai;
+
+    try {
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/models`, {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await response.json();
+        const models = (data.data || []).map(m => m.id);
+        report('ok', 'OpenAI-compatible LLM', `reachable at ${baseUrl}${models.length ? ` (${models.join(', ')})` : ''}`);
+    } catch (error) {
+        report('fail', 'OpenAI-compatible LLM', `not reachable at ${baseUrl} (${error.message})`);
+    }
+}
+
+async function checkChroma(embeddingsAvailable) {
+    try {
+        const response = await fetch(`${chromaUrl}/api/v2/heartbeat`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+        report('warn', 'ChromaDB', `not reachable at ${chromaUrl}; the local vector index in ${config.vectorStore.persistDirectory} will be used`);
+        return;
+    }
+
+    if (!embeddingsAvailable) {
+        report('warn', 'ChromaDB collection', `skipped until the ${embeddingModel} embedding model is available`);
+        return;
+    }
+
+    try {
+        const manager = new ChromaCollectionManager(
+            new OllamaEmbeddings({ baseUrl: ollamaUrl, model: embeddingModel }),
+            { url: chromaUrl, collectionName: config.vectorStore.collectionName, embeddingModel }
+        );
+        const status = await manager.connect();
+
+        if (status.migrationRequired) {
+            report('warn', `ChromaDB collection "${status.collection}"`,
+                `embedded with ${status.migration.from}; set CHROMA_AUTO_MIGRATE=true or POST /api/knowledge/migrate`);
+        } else {
+            report('ok', `ChromaDB collection "${status.collection}"`, `${embeddingModel}, ${status.embeddingDimension} dimensions`);
+        }
+    } catch (error) {
+        report('fail', 'ChromaDB collection', error.message);
+    }
+}
+
+async function main() {
+    const pull = process.argv.includes('--pull');
+
+    console.log('🛠️  Setting up Ahad AI backend\n');
+
+    await prepareDirectories();
+    if (config.llm.provider === 'openai') {
+        await checkOpenAICompatible();
+    } else if (config.llm.provider === 'mock') {
+        report('warn', 'LLM', 'mock provider selected, answers are canned');
+    }
+    const modelsReady = await checkOllama(pull);
+    await checkChroma(modelsReady);
+
+    const failed = results.filter(r => r.status === 'fail').length;
+    const warnings = results.filter(r => r.status === 'warn').length;
+
+    console.log(`\n${failed === 0 ? '🎉' : '⚠️ '} Setup finished with ${failed} error(s) and ${warnings} warning(s)`);
+    if (failed === 0) {
+        console.log('   Next: `npm run ingest` to load data/knowlege_base, then `npm start`');
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('❌ Setup failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AuthService } = require('../src/services/auth.service');
+const { MemorySessionBackend } = require('../src/services/session-store.service');
+
+test('a malformed stored password hash never matches', async () => {
+    const auth = new AuthService(new MemorySessionBackend());
+    const valid = await auth.hashPassword('correct horse');
+
+    assert.strictEqual(await auth.verifyPassword('correct horse', valid), true);
+    for (const stored of ['scrypt:abc', `${valid}:extra`, valid.slice(0, -2), valid.replace(/.$/, 'z'), '', null]) {
+        assert.strictEqual(await auth.verifyPassword('correct horse', stored), false);
+    }
+});
+
+test('repeated failed logins lock the username and the client', async () => {
+    const auth = new AuthService(new MemorySessionBackend(), { maxFailedLogins: 3 });
+    await auth.initialize();
+    await auth.register({ username: 'amira', password: 'correct horse' });
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await assert.rejects(auth.login({ username: 'amira', password: 'wrong', clientKey: '10.0.0.1' }), { status: 401 });
+    }
+
+    // Locked even with the right password, and from another client
+    await assert.rejects(auth.login({ username: 'amira', password: 'correct horse', clientKey: '10.0.0.2' }), { status: 429 });
+    // The guessing client can't move on to other accounts either
+    await assert.rejects(auth.login({ username: 'other', password: 'x', clientKey: '10.0.0.1' }), error => error.status === 429 && error.retryAfter > 0);
+
+    auth.failedLogins.clear();
+    const session = await auth.login({ username: 'amira', password: 'correct horse', clientKey: '10.0.0.2' });
+    assert.ok(session.token);
+});
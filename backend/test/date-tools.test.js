@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DateTools } = require('../src/services/date-tools.service');
+
+const dates = new DateTools({ timezone: 'UTC' });
+
+test('impossible dates are rejected instead of counting from today', () => {
+    assert.throws(() => dates.run('2024-02-30 plus 1 day'), { kind: 'math', message: '2024-02-30 is not a valid date' });
+    assert.throws(() => dates.run('31/04/2026 + 3 days'), { message: '31/04/2026 is not a valid date' });
+    assert.throws(() => dates.run('how many days until 30 feb 2027'), { message: '30 feb 2027 is not a valid date' });
+});
+
+test('date arithmetic on explicit dates', () => {
+    assert.strictEqual(dates.run('30 days from 2026-01-15').result, '2026-02-14');
+    assert.strictEqual(dates.run('1 month after 2026-01-31').result, '2026-02-28');
+    assert.strictEqual(dates.run('days between 1 jan 2026 and March 3, 2026').result, 61);
+    assert.strictEqual(dates.run('what day is 2024-03-15').weekday, 'Friday');
+});
+
+test('offsets need an anchor or a date question', () => {
+    assert.strictEqual(dates.parse('my order 12345 arrived late by 2 days'), null);
+    assert.strictEqual(dates.parse('it has been 3 weeks and nobody replied'), null);
+
+    assert.strictEqual(dates.parse('what is the date in 3 weeks').amount, 3);
+    assert.strictEqual(dates.parse('10 days ago').amount, -10);
+    assert.strictEqual(dates.parse('add 3 days to 2026-02-01').unit, 'day');
+    assert.strictEqual(dates.parse('5 दिन बाद').amount, 5);
+    assert.strictEqual(dates.parse('بعد 5 ايام').amount, 5);
+    assert.strictEqual(dates.parse('2 వారాల క్రితం').amount, -2);
+});
+
+test('the current time is given for the configured zone or a named one, never for an unknown place', () => {
+    assert.strictEqual(dates.parse('what time is it').timezone, 'UTC');
+    assert.strictEqual(dates.run('what time is it in Asia/Tokyo?').timezone, 'Asia/Tokyo');
+
+    assert.strictEqual(dates.parse('what is the time in tokyo'), null);
+    assert.strictEqual(dates.parse('टोक्यो में समय क्या है'), null);
+    assert.strictEqual(dates.parse('كم الساعة في طوكيو'), null);
+    assert.strictEqual(dates.parse('టోక్యోలో సమయం ఎంత'), null);
+});
+
+test('everyday uses of "time" and "date" are not questions about the clock', () => {
+    assert.strictEqual(dates.parse('this is the third time I ask'), null);
+    assert.strictEqual(dates.parse('I waited 3 days for a date with support'), null);
+});
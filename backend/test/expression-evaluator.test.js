@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ExpressionEvaluator } = require('../src/services/expression-evaluator.service');
+
+const calculator = new ExpressionEvaluator();
+
+test('number literals accept exponent notation', () => {
+    assert.strictEqual(calculator.run('1.5e3 + 1').result, 1501);
+    assert.strictEqual(calculator.run('2.5e-3 * 4').result, 0.01);
+    assert.throws(() => calculator.run('1e309'), { kind: 'math', message: 'The result is not a finite number' });
+    assert.strictEqual(calculator.run('e * 2').result, 5.43656365692);
+});
+
+test('a percentage after + or - is taken of the left operand', () => {
+    assert.strictEqual(calculator.run('100 - 10%').result, 90);
+    assert.strictEqual(calculator.run('200 + 15%').result, 230);
+    assert.strictEqual(calculator.run('(100 - 10%) * 2').result, 180);
+    assert.strictEqual(calculator.run('50 + 10% of 20').result, 52);
+    assert.strictEqual(calculator.run('what is 15% of 240').result, 36);
+    assert.strictEqual(calculator.run('2 * 10%').result, 0.2);
+    assert.strictEqual(calculator.run('10% + 5').result, 5.1);
+});
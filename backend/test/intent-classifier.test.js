@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { IntentClassifier } = require('../src/services/intent-classifier.service');
+
+test('time questions and thanks are not routed to other tools', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'intents-'));
+    const classifier = new IntentClassifier({ directory });
+
+    try {
+        await classifier.initialize();
+
+        assert.strictEqual(classifier.classify('what time is it').label, 'datetime');
+        assert.strictEqual(classifier.classify('what is 12 times 7').label, 'calculate');
+        for (const thanks of ['thanks', 'thank you', 'शुक्रिया', 'shukriya', 'شكرا', 'ధన్యవాదాలు']) {
+            assert.strictEqual(classifier.classify(thanks).label, 'greeting', thanks);
+        }
+
+        // A tie between two intents is too weak to act on
+        const tie = classifier.classify('analyze this');
+        assert.strictEqual(tie.label, 'general');
+        assert.ok(tie.alternatives.some(entry => entry.label === 'analysis'));
+    } finally {
+        await fs.remove(directory);
+    }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: delay } = require('timers/promises');
+const { ChatProvider, LLMTimeoutError } = require('../src/services/llm-provider.service');
+const { CircuitBreaker } = require('../src/services/circuit-breaker.service');
+
+// Streams `chunks` tokens, waiting `interval` ms before each one (or `stallAfter` chunks, then forever)
+function slowModel({ chunks, interval, stallAfter = Infinity }) {
+    return {
+        async *stream(prompt, options = {}) {
+            for (let i = 0; i < chunks; i++) {
+                await delay(i >= stallAfter ? 60 * 1000 : interval, undefined, { signal: options.signal });
+                yield { content: `t${i} ` };
+            }
+        }
+    };
+}
+
+async function collect(provider) {
+    let text = '';
+    for await (const chunk of provider.stream('prompt')) {
+        text += chunk.content;
+    }
+    return text;
+}
+
+test('a stream that keeps producing chunks past the timeout finishes normally', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1 });
+    const provider = new ChatProvider('test', 'slow', slowModel({ chunks: 6, interval: 40 }), { timeout: 100, breaker });
+
+    const startedAt = Date.now();
+    const text = await collect(provider);
+
+    assert.ok(Date.now() - startedAt > 100, 'the whole answer took longer than the timeout');
+    assert.strictEqual(text, 't0 t1 t2 t3 t4 t5 ');
+    assert.strictEqual(breaker.state, 'closed');
+});
+
+test('a stream that stalls between chunks times out', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1 });
+    const provider = new ChatProvider('test', 'stall', slowModel({ chunks: 3, interval: 10, stallAfter: 1 }), { timeout: 100, breaker });
+
+    await assert.rejects(collect(provider), LLMTimeoutError);
+    assert.strictEqual(breaker.state, 'open');
+});
+
+test('a stream that never starts times out', async () => {
+    const provider = new ChatProvider('test', 'silent', slowModel({ chunks: 1, interval: 10, stallAfter: 0 }), { timeout: 100 });
+
+    await assert.rejects(collect(provider), LLMTimeoutError);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { LocalVectorStore } = require('../src/services/local-vector-store.service');
+
+// Embeddings that fail while `down` is set, like an Ollama server that went away
+function flakyEmbeddings() {
+    return {
+        model: 'flaky',
+        down: false,
+        async embedQuery() {
+            if (this.down) throw new Error('fetch failed');
+            return [1, 0];
+        },
+        async embedDocuments(texts) {
+            if (this.down) throw new Error('fetch failed');
+            return texts.map(() => [1, 0]);
+        }
+    };
+}
+
+test('chunks added while the embedding model is down are kept and embedded once it is back', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'vectors-'));
+    const embeddings = flakyEmbeddings();
+    const store = new LocalVectorStore(embeddings, { directory, retryMs: 1 });
+    await store.initialize();
+
+    embeddings.down = true;
+    await store.addDocuments([{ pageContent: 'added during the outage', metadata: {} }], { ids: ['a'] });
+
+    assert.strictEqual(store.available, false);
+    assert.strictEqual(store.entries.get('a').vector, null);
+    assert.deepStrictEqual(await store.similaritySearchWithScore('outage'), []);
+
+    embeddings.down = false;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const results = await store.similaritySearchWithScore('outage');
+
+    assert.strictEqual(store.available, true);
+    assert.deepStrictEqual(store.entries.get('a').vector, [1, 0]);
+    assert.strictEqual(results[0][0].pageContent, 'added during the outage');
+
+    await store.writeQueue;
+    await fs.remove(directory);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SentimentAnalyzer } = require('../src/services/sentiment.service');
+
+const sentiment = new SentimentAnalyzer();
+
+test('Arabic negation covers the forms of لست', () => {
+    assert.strictEqual(sentiment.analyze('لست سعيدا', 'ar').label, 'negative');
+    assert.strictEqual(sentiment.analyze('لستِ سعيدة', 'ar').label, 'negative');
+    assert.strictEqual(sentiment.analyze('لسنا سعداء', 'ar').label, 'negative');
+    assert.strictEqual(sentiment.analyze('أنا سعيد', 'ar').label, 'positive');
+});
+
+test('Arabic ما negates verbs but not exclamations', () => {
+    assert.strictEqual(sentiment.analyze('الخدمة ما كانت جيدة', 'ar').label, 'negative');
+    assert.strictEqual(sentiment.analyze('ما أحب هذا', 'ar').label, 'negative');
+    assert.strictEqual(sentiment.analyze('ما أجمل هذا اليوم', 'ar').label, 'positive');
+    assert.strictEqual(sentiment.analyze('ما أروعه', 'ar').label, 'positive');
+    assert.strictEqual(sentiment.analyze('ما أسوأ الخدمة', 'ar').label, 'negative');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { SessionStore, JsonFileSessionBackend } = require('../src/services/session-store.service');
+
+test('file contents are written once and kept out of the session file', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+    const backend = new JsonFileSessionBackend(directory);
+    const store = new SessionStore(backend);
+
+    try {
+        await store.initialize();
+        await store.addFiles('s1', [{
+            id: 'file-1',
+            filename: 'report.pdf',
+            content: 'extracted text '.repeat(1000),
+            pages: [{ page: 1, text: 'extracted text' }]
+        }]);
+
+        const contentPath = backend.getContentPath('file-1');
+        const written = (await fs.stat(contentPath)).mtimeMs;
+        await store.addMessage('s1', { role: 'user', content: 'hello' });
+        await store.update('s1', { language: 'hi' });
+
+        const saved = await fs.readJson(backend.getFilePath('s1'));
+        assert.deepStrictEqual(saved.files, [{ id: 'file-1', filename: 'report.pdf' }]);
+        assert.strictEqual(saved.messages.length, 1);
+        assert.strictEqual((await fs.stat(contentPath)).mtimeMs, written);
+
+        // A restarted server gets the contents back
+        const restored = new SessionStore(new JsonFileSessionBackend(directory));
+        await restored.initialize();
+        const [file] = restored.get('s1').files;
+        assert.strictEqual(file.content, 'extracted text '.repeat(1000));
+        assert.deepStrictEqual(file.pages, [{ page: 1, text: 'extracted text' }]);
+
+        await restored.delete('s1');
+        assert.strictEqual(await fs.pathExists(contentPath), false);
+    } finally {
+        await fs.remove(directory);
+    }
+});